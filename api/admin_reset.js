@@ -1,4 +1,5 @@
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({ url: process.env.KV2_REST_API_URL, token: process.env.KV2_REST_API_TOKEN });
 const ZSET = "mentions:z";
@@ -16,6 +17,7 @@ export default async function handler(req, res){
     const raw = await redis.zrange(ZSET, start, end, { byScore: true });
     const keep = [];
     const remove = [];
+    const removeIds = [];
 
     for (const s of raw){
       let m; try { m = JSON.parse(s); } catch { m = null; }
@@ -24,16 +26,12 @@ export default async function handler(req, res){
         || (m.source||'').includes('Example News')
         || (m.link||'').includes('example.com');
       (isMock ? remove : keep).push(s);
+      if (isMock && m?.id) removeIds.push(m.id);
     }
 
     let zRemoved = 0;
     if (remove.length){
-      // Upstash supports multiple zrem calls; do in chunks
-      const chunk = 64;
-      for (let i=0;i<remove.length;i+=chunk){
-        const batch = remove.slice(i, i+chunk);
-        zRemoved += await redis.zrem(ZSET, ...batch);
-      }
+      zRemoved = await removeMentions(redis, removeIds, remove);
     }
 
     // Optionally clear seen sets so real items aren’t blocked by prior tests
@@ -0,0 +1,125 @@
+// alert_channels.js
+// Delivery of alert batches (see alert_rules.js) to email, generic webhooks and Slack,
+// and the Resend client every outgoing email (alerts, client digests) goes through
+//
+// A channel is { type: "email", to: [...] } | { type: "webhook", url } | { type: "slack", url }.
+// Email goes through Resend (RESEND_API_KEY, from ALERT_EMAIL_FROM), rendered from the
+// "alert" template (email_templates.js). An email channel without recipients uses the
+// rule's clients' alert_recipients, then ALERT_EMAIL_TO.
+
+import { Resend } from "resend";
+import { renderEmail, footerData } from "./email_templates.js";
+
+export const CHANNEL_TYPES = ["email", "webhook", "slack"];
+
+// Placeholder for a redacted secret. Public GETs (alert rules, clients, digest log, webhook
+// subscriptions) list recipients and hook URLs through redactEmail / redactUrl.
+export const REDACTED = "…";
+
+export function redactEmail(address) {
+  const [user, domain] = String(address).split("@");
+  return domain ? `${user.slice(0, 1)}${REDACTED}@${domain}` : REDACTED;
+}
+
+export function redactUrl(u) {
+  try { return `${new URL(u).origin}/${REDACTED}`; } catch { return REDACTED; }
+}
+
+const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+const TIMEOUT_MS = 10000;
+
+function safeLink(u) {
+  return /^https?:\/\//i.test(u || "") ? u : "#";
+}
+
+// Data for the "alert" email template (email_templates.js)
+export function alertData(rule, mentions) {
+  const fmt = (d) => {
+    const t = Date.parse(d);
+    return Number.isFinite(t) ? new Date(t).toLocaleString("en-US", { timeZone: rule.timezone || "America/New_York", dateStyle: "medium", timeStyle: "short" }) : "";
+  };
+  return {
+    rule: { id: rule.id, name: rule.name },
+    count: mentions.length,
+    single: mentions.length === 1,
+    first: mentions[0],
+    heading: rule.name,
+    subheading: `${mentions.length} new mention${mentions.length === 1 ? "" : "s"}`,
+    mentions: mentions.map(m => ({ ...m, source: m.source || m.origin, date: fmt(m.published) })),
+    ...footerData(`You receive this because of the alert rule "${rule.name}".`)
+  };
+}
+
+function slackText(rule, mentions) {
+  const lines = mentions.slice(0, 20).map(m => `• <${safeLink(m.link)}|${(m.title || "").replace(/[<>|]/g, "")}> (${m.source || m.origin})`);
+  if (mentions.length > 20) lines.push(`…and ${mentions.length - 20} more`);
+  return `*${rule.name}*: ${mentions.length} new mention${mentions.length === 1 ? "" : "s"}\n${lines.join("\n")}`;
+}
+
+/**
+ * Send one email through Resend
+ * @param {Object} email
+ * @param {Array<string>} email.to
+ * @param {string} email.subject
+ * @param {string} email.html
+ * @param {string} [email.text] - Plain-text alternative
+ * @returns {Promise<{ok:boolean, id?:string, error?:string}>}
+ */
+export async function sendEmail({ to, subject, html, text }) {
+  if (!resend || !process.env.ALERT_EMAIL_FROM) return { ok: false, error: "RESEND_API_KEY / ALERT_EMAIL_FROM not set" };
+  if (!to?.length) return { ok: false, error: "no recipients" };
+  const { data, error } = await resend.emails.send({ from: process.env.ALERT_EMAIL_FROM, to, subject, html, ...(text ? { text } : {}) });
+  if (error) return { ok: false, error: error.message || String(error) };
+  return { ok: true, id: data?.id };
+}
+
+async function postJson(url, body) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+}
+
+/**
+ * Deliver one batch of mentions over one channel
+ * @param {Object} channel
+ * @param {Object} rule
+ * @param {Array<Object>} mentions - Compact mentions (id, title, link, source, origin, published, reach, sentiment_label)
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.recipients] - Fallback recipients for email channels
+ * @param {Redis} [opts.redis] - For template overrides; built-in templates without it
+ * @returns {Promise<{type:string, ok:boolean, error?:string, to?:Array<string>}>}
+ */
+export async function deliver(channel, rule, mentions, { recipients = [], redis = null } = {}) {
+  try {
+    if (channel.type === "email") {
+      const envTo = (process.env.ALERT_EMAIL_TO || "").split(",").map(s => s.trim()).filter(Boolean);
+      const to = channel.to?.length ? channel.to : recipients.length ? recipients : envTo;
+      const sent = await sendEmail({ to, ...(await renderEmail(redis, "alert", alertData(rule, mentions))) });
+      return { type: "email", ok: sent.ok, ...(sent.ok ? { to } : { error: sent.error }) };
+    }
+
+    if (channel.type === "slack") {
+      await postJson(channel.url, { text: slackText(rule, mentions) });
+      return { type: "slack", ok: true };
+    }
+
+    if (channel.type === "webhook") {
+      await postJson(channel.url, {
+        rule: { id: rule.id, name: rule.name },
+        sent_at: new Date().toISOString(),
+        count: mentions.length,
+        mentions
+      });
+      return { type: "webhook", ok: true };
+    }
+
+    return { type: channel.type, ok: false, error: "unknown channel type" };
+  } catch (e) {
+    console.error(`[Alerts] ${channel.type} delivery for ${rule.id} failed:`, e?.message || e);
+    return { type: channel.type, ok: false, error: e?.message || String(e) };
+  }
+}
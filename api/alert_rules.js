@@ -0,0 +1,414 @@
+// alert_rules.js
+// Alert rules: conditions on freshly stored mentions, delivered through alert_channels.js
+//
+// evaluateAlerts() runs as an ingest_pipeline.js post-store hook, after spike detection,
+// so every collector and webhook that goes through the pipeline is covered. Matches are
+// queued per rule and sent as one message when the rule is due:
+// - quiet_hours:     nothing is sent between start and end (rule timezone); the queue waits
+// - throttle_minutes: at most one message per window
+// - digest_minutes:  matches are collected for this long before the first send
+// Queues held back by any of these are flushed by the next ingestion, the hourly
+// /api/collect run, or POST /api/alerts?action=flush.
+// Every send is recorded in alerts:history for /api/alerts?history=1.
+
+import { CHANNEL_TYPES, deliver, REDACTED, redactEmail, redactUrl } from "./alert_channels.js";
+import { sourceTier } from "./story_index.js";
+import { matchesQuery } from "./search_index.js";
+import { listClients } from "./client_registry.js";
+import { getSavedSearch, queryOf } from "./saved_search_registry.js";
+import { publishEvent } from "./event_bus.js";
+
+const RULES_HASH = "alerts:rules";          // rule id -> rule JSON
+const PENDING_PREFIX = "alerts:pending";    // rule id -> list of queued compact mentions
+const PENDING_SINCE = "alerts:pending_since"; // rule id -> epoch seconds of the oldest queued match
+const LAST_SENT = "alerts:last_sent";       // rule id -> epoch seconds of the last send
+const HISTORY = "alerts:history";           // newest-first delivery log
+const LOCK_PREFIX = "alerts:lock";
+const ZSET_SPIKES = "mw:spikes:z";
+
+const HISTORY_MAX = 500;
+const PENDING_MAX = 200;
+const SENTIMENTS = ["positive", "neutral", "negative"];
+const DEFAULT_TZ = "America/New_York";
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(s => String(s).trim()).filter(Boolean);
+  if (typeof v === "string") return v.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function validateChannel(c) {
+  const type = (c?.type || "").toString().toLowerCase();
+  if (!CHANNEL_TYPES.includes(type)) return { error: `channel type must be one of ${CHANNEL_TYPES.join(", ")}` };
+  if (JSON.stringify(c).includes(REDACTED)) return { error: `${type} channel is redacted (as listed by GET); send the full value` };
+  if (type === "email") {
+    const to = toList(c.to);
+    const bad = to.find(r => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(r));
+    if (bad) return { error: `invalid email recipient: ${bad}` };
+    return { channel: { type, to } };
+  }
+  try {
+    const url = new URL(c.url);
+    if (!/^https?:$/.test(url.protocol)) throw new Error();
+  } catch { return { error: `${type} channel needs an http(s) url` }; }
+  return { channel: { type, url: c.url } };
+}
+
+// ---- redaction ----
+// Slack incoming-webhook and generic webhook URLs work as bearer credentials, and recipients
+// are personal data, so rules and history are listed without them (alert_channels.js).
+
+function redactChannel(c) {
+  const out = { ...c };
+  if (Array.isArray(c.to)) out.to = c.to.map(redactEmail);
+  if (c.url) out.url = redactUrl(c.url);
+  return out;
+}
+
+/**
+ * A rule without channel URLs or full recipient addresses, for listing
+ */
+export function publicAlertRule(rule) {
+  return { ...rule, channels: (rule.channels || []).map(redactChannel) };
+}
+
+/**
+ * A history entry without the recipient addresses its channel results carry
+ */
+export function publicHistoryEntry(entry) {
+  return { ...entry, channels: (entry.channels || []).map(redactChannel) };
+}
+
+/**
+ * Validate and normalise an alert rule
+ * @param {Object} input - Fields from the API
+ * @param {Object} [existing] - Stored rule when updating
+ * @returns {{rule?:Object, error?:string}}
+ */
+export function validateAlertRule(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const name = (merged.name || "").toString().trim();
+  if (!name) return { error: "name is required" };
+  const id = (existing?.id || merged.id || name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")).toString();
+  if (!/^[a-z0-9_]+$/.test(id)) return { error: "id must be a-z, 0-9 and _" };
+
+  const clients = toList(merged.clients).map(s => s.toLowerCase());
+  const origins = toList(merged.origins).map(s => s.toLowerCase());
+  const keywords = toList(merged.keywords);
+  const query = (merged.query || "").toString().trim();
+  const saved_search = merged.saved_search ? String(merged.saved_search).trim() : null;
+
+  const sentiments = toList(merged.sentiments).map(s => s.toLowerCase());
+  const badSentiment = sentiments.find(s => !SENTIMENTS.includes(s));
+  if (badSentiment) return { error: `sentiments must be ${SENTIMENTS.join(", ")}` };
+  const source_tiers = toList(merged.source_tiers).map(Number);
+  if (source_tiers.some(t => ![1, 2, 3].includes(t))) return { error: "source_tiers must be 1, 2 or 3" };
+  const min_reach = Number(merged.min_reach) || 0;
+  const spiking = merged.spiking === true || merged.spiking === "true";
+
+  if (!clients.length && !origins.length && !keywords.length && !query && !saved_search && !spiking) {
+    return { error: "a rule needs clients, origins, keywords, query, saved_search or spiking" };
+  }
+
+  const channels = [];
+  for (const c of Array.isArray(merged.channels) ? merged.channels : []) {
+    const { channel, error } = validateChannel(c);
+    if (error) return { error };
+    channels.push(channel);
+  }
+  if (!channels.length) return { error: "at least one channel is required" };
+
+  const throttle_minutes = Math.max(0, Number(merged.throttle_minutes) || 0);
+  const digest_minutes = Math.max(0, Number(merged.digest_minutes) || 0);
+
+  let quiet_hours = null;
+  if (merged.quiet_hours?.start || merged.quiet_hours?.end) {
+    const { start, end } = merged.quiet_hours;
+    if (!/^\d{2}:\d{2}$/.test(start || "") || !/^\d{2}:\d{2}$/.test(end || "")) return { error: "quiet_hours needs start and end as HH:MM" };
+    quiet_hours = { start, end };
+  }
+  const timezone = (merged.timezone || DEFAULT_TZ).toString();
+  try { new Intl.DateTimeFormat("en-US", { timeZone: timezone }); } catch { return { error: `unknown timezone: ${timezone}` }; }
+
+  const now = new Date().toISOString();
+  const rule = {
+    id,
+    name,
+    enabled: merged.enabled !== false && merged.enabled !== "false",
+    clients,
+    origins,
+    keywords,
+    query,
+    saved_search,
+    min_reach,
+    sentiments,
+    source_tiers,
+    spiking,
+    channels,
+    throttle_minutes,
+    digest_minutes,
+    quiet_hours,
+    timezone,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  return { rule };
+}
+
+export async function listAlertRules(redis, { enabledOnly = false } = {}) {
+  const all = await redis.hgetall(RULES_HASH);
+  return Object.values(all || {})
+    .map(toObj)
+    .filter(Boolean)
+    .filter(r => !enabledOnly || r.enabled)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getAlertRule(redis, id) {
+  return toObj(await redis.hget(RULES_HASH, id));
+}
+
+export async function saveAlertRule(redis, rule) {
+  await redis.hset(RULES_HASH, { [rule.id]: JSON.stringify(rule) });
+  return rule;
+}
+
+export async function deleteAlertRule(redis, id) {
+  await redis.del(`${PENDING_PREFIX}:${id}`);
+  await redis.hdel(PENDING_SINCE, id);
+  await redis.hdel(LAST_SENT, id);
+  return (await redis.hdel(RULES_HASH, id)) > 0;
+}
+
+/**
+ * Recent deliveries, newest first
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {string} [opts.ruleId] - Only this rule
+ * @param {number} [opts.limit=100]
+ */
+export async function alertHistory(redis, { ruleId, limit = 100 } = {}) {
+  const raw = await redis.lrange(HISTORY, 0, HISTORY_MAX - 1);
+  return (raw || []).map(toObj).filter(Boolean).filter(h => !ruleId || h.rule_id === ruleId).slice(0, limit);
+}
+
+// ---- matching ----
+
+/**
+ * Whether a mention meets a rule's conditions
+ * @param {Object} rule
+ * @param {Object} m
+ * @param {Object} ctx
+ * @param {Set<string>} ctx.spikingOrigins - Origins with a spike in the current or previous hour
+ * @param {Object} ctx.savedQueries - saved search id -> query (saved_search_registry.js queryOf)
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, m, { spikingOrigins = new Set(), savedQueries = {} } = {}) {
+  const origin = (m.origin || "").toLowerCase();
+  if (rule.clients.length && !rule.clients.includes(m.client) && !rule.clients.includes(origin)) return false;
+  if (rule.origins.length && !rule.origins.includes(origin)) return false;
+  if (rule.min_reach && (Number(m.reach) || 0) < rule.min_reach) return false;
+  if (rule.sentiments.length && !rule.sentiments.includes(m.sentiment_label)) return false;
+  if (rule.source_tiers.length && !rule.source_tiers.includes(sourceTier(m))) return false;
+  if (rule.spiking && !spikingOrigins.has(origin)) return false;
+
+  if (rule.keywords.length) {
+    const text = `${m.title || ""} ${typeof m.summary === "string" ? m.summary : ""}`;
+    if (!rule.keywords.some(k => new RegExp(`\\b${escapeRegex(k)}\\b`, "i").test(text))) return false;
+  }
+  if (rule.query && !matchesQuery(rule.query, m)) return false;
+  if (rule.saved_search) {
+    const q = savedQueries[rule.saved_search];
+    if (!q || !matchesQuery(q, m)) return false;
+  }
+  return true;
+}
+
+async function spikingOrigins(redis) {
+  const now = Math.floor(Date.now() / 1000);
+  const raw = await redis.zrange(ZSET_SPIKES, now - 2 * 3600, now, { byScore: true });
+  return new Set((raw || []).map(toObj).filter(s => s && (s.window?.end || 0) >= now - 3600).map(s => s.origin));
+}
+
+function compact(m) {
+  return {
+    id: m.id,
+    title: m.title,
+    link: m.link,
+    source: m.source,
+    origin: m.origin,
+    client: m.client || null,
+    published: m.published,
+    reach: m.reach || 0,
+    sentiment_label: m.sentiment_label || null
+  };
+}
+
+// ---- delivery ----
+
+function localTime(timezone) {
+  return new Intl.DateTimeFormat("en-GB", { timeZone: timezone || DEFAULT_TZ, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).format(new Date());
+}
+
+export function inQuietHours(rule) {
+  if (!rule.quiet_hours) return false;
+  const { start, end } = rule.quiet_hours;
+  const t = localTime(rule.timezone);
+  return start <= end ? t >= start && t < end : t >= start || t < end;
+}
+
+// Recipients of the rule's clients in the client registry, for email channels without their own
+async function recipientsFor(redis, rule) {
+  if (!rule.clients.length) return [];
+  const clients = await listClients(redis);
+  return [...new Set(clients.filter(c => rule.clients.includes(c.slug)).flatMap(c => c.alert_recipients || []))];
+}
+
+/**
+ * Send a rule's queued matches if it is due
+ * @param {Redis} redis
+ * @param {Object} rule
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force=false] - Ignore quiet hours, throttle and digest window
+ * @returns {Promise<Object|null>} - History entry, or null when nothing was sent
+ */
+export async function flushRule(redis, rule, { force = false } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const pendingKey = `${PENDING_PREFIX}:${rule.id}`;
+  const [since, lastSent] = await Promise.all([redis.hget(PENDING_SINCE, rule.id), redis.hget(LAST_SENT, rule.id)]);
+  if (!since) return null;
+  if (!force) {
+    if (inQuietHours(rule)) return null;
+    if (lastSent && now - Number(lastSent) < rule.throttle_minutes * 60) return null;
+    if (now - Number(since) < rule.digest_minutes * 60) return null;
+  }
+
+  const lockKey = `${LOCK_PREFIX}:${rule.id}`;
+  if (!(await redis.set(lockKey, String(now), { nx: true, ex: 60 }))) return null;
+  try {
+    // Drain atomically: a match queued by a concurrent ingestion lands either in this batch or the next
+    const tx = redis.multi();
+    tx.lrange(pendingKey, 0, -1);
+    tx.del(pendingKey);
+    tx.hdel(PENDING_SINCE, rule.id);
+    const [raw] = await tx.exec();
+    const mentions = (raw || []).map(toObj).filter(Boolean).reverse(); // oldest first
+    if (!mentions.length) return null;
+
+    const recipients = await recipientsFor(redis, rule);
+    const results = [];
+    for (const channel of rule.channels) results.push(await deliver(channel, rule, mentions, { recipients, redis }));
+    const delivered = results.some(r => r.ok);
+
+    if (!delivered) {
+      // Nothing went out: put the batch back behind anything queued meanwhile, for the next flush
+      const back = redis.multi();
+      back.rpush(pendingKey, ...raw.map(x => (typeof x === "string" ? x : JSON.stringify(x))));
+      back.ltrim(pendingKey, 0, PENDING_MAX - 1);
+      back.hset(PENDING_SINCE, { [rule.id]: since });
+      await back.exec();
+    }
+
+    const entry = {
+      rule_id: rule.id,
+      rule_name: rule.name,
+      sent_at: new Date(now * 1000).toISOString(),
+      count: mentions.length,
+      mention_ids: mentions.map(m => m.id),
+      titles: mentions.slice(0, 5).map(m => m.title),
+      status: results.every(r => r.ok) ? "sent" : delivered ? "partial" : "failed",
+      channels: results
+    };
+    await redis.lpush(HISTORY, JSON.stringify(entry));
+    await redis.ltrim(HISTORY, 0, HISTORY_MAX - 1);
+    if (delivered) {
+      await redis.hset(LAST_SENT, { [rule.id]: now });
+      await publishEvent(redis, "alert.fired", {
+        rule_id: rule.id, rule_name: rule.name, count: entry.count, titles: entry.titles, status: entry.status
+      }, { origin: mentions.map(m => m.origin), client: mentions.map(m => m.client) });
+    }
+    console.log(`[Alerts] ${rule.id}: ${entry.status}, ${mentions.length} mention(s) over ${results.length} channel(s)`);
+    return entry;
+  } finally {
+    await redis.del(lockKey);
+  }
+}
+
+function tally(entries) {
+  const out = { delivered: 0, emailed: 0 };
+  for (const e of entries.filter(Boolean)) {
+    if (e.channels.some(c => c.ok)) out.delivered += e.count;
+    if (e.channels.some(c => c.type === "email" && c.ok)) out.emailed += e.count;
+  }
+  return out;
+}
+
+/**
+ * Send every enabled rule's queue that is due
+ * @returns {Promise<{rules:number, delivered:number, emailed:number}>}
+ */
+export async function flushAlerts(redis, { force = false } = {}) {
+  const waiting = Object.keys((await redis.hgetall(PENDING_SINCE)) || {});
+  if (!waiting.length) return { rules: 0, delivered: 0, emailed: 0 };
+  const rules = (await listAlertRules(redis, { enabledOnly: true })).filter(r => waiting.includes(r.id));
+  const entries = [];
+  for (const rule of rules) entries.push(await flushRule(redis, rule, { force }));
+  return { rules: entries.filter(Boolean).length, ...tally(entries) };
+}
+
+/**
+ * Post-store hook: queue fresh mentions for every rule they match, then send what is due.
+ * Never throws: alerting must not fail an ingestion run.
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions - Mentions stored by this run
+ * @returns {Promise<{matched:number, delivered:number, emailed:number}>}
+ */
+export async function evaluateAlerts(redis, mentions) {
+  const result = { matched: 0, delivered: 0, emailed: 0 };
+  if (!mentions?.length) return result;
+
+  try {
+    const rules = await listAlertRules(redis, { enabledOnly: true });
+    if (!rules.length) return result;
+
+    const ctx = { spikingOrigins: await spikingOrigins(redis), savedQueries: {} };
+    for (const id of new Set(rules.map(r => r.saved_search).filter(Boolean))) {
+      const search = await getSavedSearch(redis, id);
+      if (search) ctx.savedQueries[id] = queryOf(search);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const due = [];
+    for (const rule of rules) {
+      const hits = mentions.filter(m => ruleMatches(rule, m, ctx));
+      if (!hits.length) continue;
+      result.matched += hits.length;
+
+      const pendingKey = `${PENDING_PREFIX}:${rule.id}`;
+      const p = redis.pipeline();
+      p.lpush(pendingKey, ...hits.map(m => JSON.stringify(compact(m))));
+      p.ltrim(pendingKey, 0, PENDING_MAX - 1);
+      p.hsetnx(PENDING_SINCE, rule.id, now);
+      await p.exec();
+      due.push(rule);
+    }
+
+    const entries = [];
+    for (const rule of due) entries.push(await flushRule(redis, rule));
+    Object.assign(result, tally(entries));
+  } catch (error) {
+    console.error("[Alerts] Evaluation failed:", error);
+  }
+  return result;
+}
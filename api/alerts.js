@@ -0,0 +1,134 @@
+// /api/alerts.js
+// CRUD for alert rules (see alert_rules.js) and their delivery history
+//
+// GET    /api/alerts                       list rules (channel URLs and recipients redacted)
+// GET    /api/alerts?id=negative_delta     one rule (redacted)
+// GET    /api/alerts?history=1[&id=...]    recent deliveries, newest first (limit, default 100)
+// POST   /api/alerts                       create { name, clients, origins, keywords, query, saved_search,
+//                                            min_reach, sentiments, source_tiers, spiking, channels,
+//                                            throttle_minutes, digest_minutes, quiet_hours: { start, end }, timezone }
+// PUT    /api/alerts?id=...                update (partial body allowed)
+// DELETE /api/alerts?id=...                remove (and drop its queue)
+// POST   /api/alerts?action=flush[&id=...] send queued matches now, ignoring quiet hours and throttles
+// POST   /api/alerts?id=...&action=test    send the rule's newest matching mention (or a sample) through its channels
+//
+// Channels: { type: "email", to } | { type: "webhook", url } | { type: "slack", url }
+// Writes require ADMIN_TOKEN via x-admin-token header or ?token=
+import { Redis } from "@upstash/redis";
+import {
+  listAlertRules, getAlertRule, saveAlertRule, deleteAlertRule, validateAlertRule,
+  alertHistory, flushAlerts, flushRule, ruleMatches, publicAlertRule, publicHistoryEntry
+} from "./alert_rules.js";
+import { deliver } from "./alert_channels.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+const ZSET = "mentions:z";
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Newest stored mention the rule matches (conditions other than spiking), else a placeholder
+async function sampleFor(rule) {
+  const now = Math.floor(Date.now() / 1000);
+  const raw = await redis.zrange(ZSET, now, now - 24 * 3600, { byScore: true, rev: true, offset: 0, count: 500 });
+  const match = (raw || []).map(toObj).filter(Boolean).find(m => ruleMatches({ ...rule, spiking: false, saved_search: null }, m));
+  return match || {
+    id: "test",
+    title: `Test alert for ${rule.name}`,
+    link: "https://example.com/",
+    source: "example.com",
+    origin: "test",
+    published: new Date().toISOString()
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const id = (params.get("id") || "").toLowerCase().trim();
+    const action = params.get("action");
+
+    if (req.method === "GET") {
+      if (params.get("history") === "1") {
+        const limit = Math.max(1, Math.min(500, parseInt(params.get("limit") || "100", 10) || 100));
+        const history = await alertHistory(redis, { ruleId: id || undefined, limit });
+        return res.status(200).json({ ok: true, count: history.length, history: history.map(publicHistoryEntry) });
+      }
+      if (id) {
+        const rule = await getAlertRule(redis, id);
+        if (!rule) return res.status(404).json({ ok: false, error: "rule not found" });
+        return res.status(200).json({ ok: true, rule: publicAlertRule(rule) });
+      }
+      const rules = await listAlertRules(redis);
+      return res.status(200).json({ ok: true, count: rules.length, rules: rules.map(publicAlertRule) });
+    }
+
+    const token = req.headers["x-admin-token"] || params.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    if (req.method === "POST" && action === "flush") {
+      if (id) {
+        const rule = await getAlertRule(redis, id);
+        if (!rule) return res.status(404).json({ ok: false, error: "rule not found" });
+        const entry = await flushRule(redis, rule, { force: true });
+        return res.status(200).json({ ok: true, sent: entry });
+      }
+      const flushed = await flushAlerts(redis, { force: true });
+      return res.status(200).json({ ok: true, ...flushed });
+    }
+
+    if (req.method === "POST" && action === "test") {
+      const rule = id && await getAlertRule(redis, id);
+      if (!rule) return res.status(404).json({ ok: false, error: "rule not found" });
+      const sample = await sampleFor(rule);
+      const channels = [];
+      for (const channel of rule.channels) channels.push(await deliver(channel, rule, [sample], { redis }));
+      return res.status(200).json({ ok: channels.every(c => c.ok), sample: { id: sample.id, title: sample.title }, channels });
+    }
+
+    if (req.method === "POST") {
+      const { rule, error } = validateAlertRule(parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      if (await getAlertRule(redis, rule.id)) {
+        return res.status(409).json({ ok: false, error: "rule already exists", id: rule.id });
+      }
+      return res.status(201).json({ ok: true, rule: await saveAlertRule(redis, rule) });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const existing = id && await getAlertRule(redis, id);
+      if (!existing) return res.status(404).json({ ok: false, error: "rule not found" });
+      const { rule, error } = validateAlertRule(parseBody(req), existing);
+      if (error) return res.status(400).json({ ok: false, error });
+      return res.status(200).json({ ok: true, rule: await saveAlertRule(redis, rule) });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ ok: false, error: "id required" });
+      const removed = await deleteAlertRule(redis, id);
+      if (!removed) return res.status(404).json({ ok: false, error: "rule not found" });
+      return res.status(200).json({ ok: true, removed: id });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    console.error("Alerts API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -1,5 +1,6 @@
 // OpenAI Chat API - Ask questions about articles
 import { Redis } from "@upstash/redis";
+import { listClients } from "./client_registry.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -48,16 +49,21 @@ export default async function handler(req, res) {
       source: a.source,
       published: a.published,
       origin: a.origin,
+      client: a.client,
       link: a.link,
       summary: a.summary?.substring(0, 200) // Limit summary length
     }));
 
-    // Count articles by origin
-    const originCounts = articles.reduce((acc, a) => {
-      const origin = a.origin || 'unknown';
-      acc[origin] = (acc[origin] || 0) + 1;
+    // Count articles per registered client (tagged client, else origin)
+    const clients = await listClients(redis, { enabledOnly: true });
+    const clientCounts = articles.reduce((acc, a) => {
+      const key = a.client || a.origin || 'unknown';
+      acc[key] = (acc[key] || 0) + 1;
       return acc;
     }, {});
+    const clientBreakdown = clients
+      .map(c => `- ${c.name}: ${clientCounts[c.slug] || 0} articles`)
+      .join('\n');
 
     // Create OpenAI chat completion
     const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
@@ -74,12 +80,7 @@ export default async function handler(req, res) {
             content: `You are an expert analyst creating client news summaries. You have access to ${articles.length} recent articles from the past 7 days.
 
 Article breakdown by client:
-- Delta Air Lines: ${originCounts.delta_air_lines || 0} articles
-- Guardant Health: ${originCounts.guardant_health || 0} articles
-- Albemarle: ${originCounts.albemarle || 0} articles
-- Adelanto Healthcare: ${originCounts.adelanto_healthcare || 0} articles
-- Carlos Zaffirini Jr.: ${originCounts.carlos_zafarini || 0} articles
-- StubHub: ${originCounts.stubhub || 0} articles
+${clientBreakdown}
 
 IMPORTANT: If a client has even 1 article, you MUST provide a summary for that client. Do not skip clients with articles.
 
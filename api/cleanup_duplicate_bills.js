@@ -1,5 +1,6 @@
 // One-time cleanup to remove duplicate Congress bills with API URLs
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -40,8 +41,8 @@ export default async function handler(req, res) {
           console.log(`Removing duplicate bill: ${item.title}`);
           console.log(`  Old URL: ${item.link}`);
 
-          // Remove from sorted set
-          await redis.zrem(ZSET, rawItem);
+          // Remove from the store (and its index entries)
+          await removeMentions(redis, [item.id], [rawItem]);
 
           // Remove from seen links if present
           const canonUrl = item.link.split('?')[0]; // Remove query params for canonical
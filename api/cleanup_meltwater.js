@@ -1,4 +1,5 @@
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -65,12 +66,9 @@ export default async function handler(req, res) {
       }
     }
 
-    // Remove articles from sorted set
+    // Remove articles (and their index entries) from the store
     if (toRemove.length > 0) {
-      for (let i = 0; i < toRemove.length; i += 100) {
-        const batch = toRemove.slice(i, i + 100);
-        await redis.zrem(ZSET, ...batch);
-      }
+      await removeMentions(redis, idsToRemove, toRemove);
     }
 
     // Remove from seen sets
@@ -1,5 +1,6 @@
 // Cleanup endpoint to remove non-US Meltwater articles
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -85,9 +86,8 @@ export default async function handler(req, res) {
 
     for (const article of meltwaterArticles) {
       if (isNonUSSource(article)) {
-        // Remove from Redis
-        const articleJson = JSON.stringify(article);
-        await redis.zrem(ZSET, articleJson);
+        // Remove from Redis (and its index entries)
+        await removeMentions(redis, [article.id], [article]);
 
         removed++;
         removedList.push({
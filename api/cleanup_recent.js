@@ -1,5 +1,6 @@
 // /api/cleanup_recent.js
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -198,12 +199,8 @@ export default async function handler(req, res) {
 
     let removed = 0;
     if (doDelete) {
-      for (const member of dropSet) {
-        try {
-          const r = await redis.zrem(ZSET, member);
-          if (r === 1) removed++;
-        } catch {}
-      }
+      // By member, not id: an id duplicate shares its id with the copy that stays
+      removed = await removeMentions(redis, [], [...dropSet]);
     }
 
     // sample up to 10
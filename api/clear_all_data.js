@@ -11,6 +11,14 @@ const ALL_KEYS = [
   "mentions:z",                    // Main sorted set
   "mentions:seen",                 // Seen IDs set
   "mentions:seen:canon",           // Canonical URLs set
+  "mentions:member",               // Mention id -> stored member (mention_store.js)
+  "mentions:canon",                // Canonical URL -> mention id (provenance.js)
+  "mentions:canon:z",              // Canonical URLs by published time (provenance.js)
+  "mentions:idx:*",                // Origin / client / section indexes (wildcard)
+  "mentions:daily:*",              // Daily mention counters (wildcard)
+  "search:p:*",                    // Full-text postings (search_index.js, wildcard)
+  "search:doc:*",                  // Full-text per-mention terms (wildcard)
+  "search:stats:*",                // Full-text corpus stats per day (wildcard)
   "mentions:streamed:z",           // Streamed mentions
   "meltwater:stream:daily:*",      // Daily counters (wildcard)
   "meltwater:last_stream_time",    // Last stream time
@@ -48,6 +56,9 @@ export default async function handler(req, res) {
       "mentions:z",
       "mentions:seen",
       "mentions:seen:canon",
+      "mentions:member",
+      "mentions:canon",
+      "mentions:canon:z",
       "mentions:streamed:z",
       "meltwater:last_stream_time"
     ];
@@ -65,6 +76,11 @@ export default async function handler(req, res) {
 
     // Delete wildcard patterns
     const wildcardPatterns = [
+      "mentions:idx:*",
+      "mentions:daily:*",
+      "search:p:*",
+      "search:doc:*",
+      "search:stats:*",
       "meltwater:stream:daily:*",
       "meltwater:api:count:*",
       "flagged_articles:*",
@@ -0,0 +1,220 @@
+// client_digest.js
+// Scheduled per-client email digests, sent through Resend (alert_channels.js)
+//
+// Each client in the registry has a digest schedule (off / daily / weekly at an hour in
+// its timezone). /api/digests runs hourly from cron; every client whose send time has
+// passed gets one email for the current period to its alert_recipients. The period
+// is claimed in Redis before sending, so overlapping or repeated runs can't send a
+// second copy. That was the failure of the n8n workflow these digests replace.
+// A failed send releases the claim so the next run retries.
+
+import { listClients, getClient } from "./client_registry.js";
+import { indexesReady, idsInIndexes, loadMentions } from "./mention_store.js";
+import { groupByStory } from "./story_index.js";
+import { sendEmail, redactEmail } from "./alert_channels.js";
+import { renderEmail, footerData } from "./email_templates.js";
+
+const ZSET = "mentions:z";
+const SENT_PREFIX = "digests:sent";   // <slug>:<period> -> sent_at; the once-per-period claim
+const LOG = "digests:log";            // newest-first send log
+const LOG_MAX = 500;
+const CLAIM_TTL = 8 * 24 * 3600;      // longer than the longest period
+const TOP_STORIES = 10;
+const TOP_SOURCES = 10;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Local date (YYYY-MM-DD), hour and weekday of an instant in a timezone
+function localParts(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", hourCycle: "h23", weekday: "short"
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), weekday: WEEKDAYS.indexOf(parts.weekday) };
+}
+
+/**
+ * The digest period a schedule is in at `now`, and whether its send time has passed
+ * @param {Object} digest - Client's digest schedule (client_registry.js)
+ * @param {Date} [now]
+ * @returns {{due:boolean, period:string, from:number, to:number}} - period is the local date (weekly:
+ *   "week-" + local date of the latest scheduled send time, so a forced send mid-week claims the
+ *   same week); from/to is the window covered, epoch seconds.
+ *   A run that misses the whole scheduled day doesn't catch up later.
+ */
+export function digestPeriod(digest, now = new Date()) {
+  const to = Math.floor(now.getTime() / 1000);
+  const local = localParts(now, digest.timezone);
+
+  if (digest.frequency === "weekly") {
+    // The week runs from one scheduled send to the next: key it by the local date of the latest one
+    let back = (local.weekday - digest.weekday + 7) % 7;
+    if (back === 0 && local.hour < digest.hour) back = 7;
+    const start = new Date(`${local.day}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - back);
+    return { due: back === 0, period: `week-${start.toISOString().slice(0, 10)}`, from: to - 7 * 86400, to };
+  }
+  return { due: digest.frequency === "daily" && local.hour >= digest.hour, period: local.day, from: to - 86400, to };
+}
+
+async function clientMentions(redis, client, from, to) {
+  if (await indexesReady(redis)) {
+    const ids = await idsInIndexes(redis, [{ dimension: "client", value: client.slug }, { dimension: "origin", value: client.slug }], from, to);
+    return loadMentions(redis, ids);
+  }
+  const raw = await redis.zrange(ZSET, from, to, { byScore: true });
+  return raw.map(toObj).filter(m => m && (m.client === client.slug || m.origin === client.slug));
+}
+
+/**
+ * Data for a client's "digest" email template (email_templates.js)
+ * @param {Redis} redis
+ * @param {Object} client - From the client registry
+ * @param {Object} window
+ * @param {number} window.from - Epoch seconds
+ * @param {number} window.to
+ * @param {string} [window.label] - e.g. "Daily digest"
+ * @returns {Promise<Object>}
+ */
+export async function digestData(redis, client, { from, to, label = "Digest" }) {
+  const mentions = await clientMentions(redis, client, from, to);
+  const grouped = groupByStory(mentions);
+  const stories = [...grouped]
+    .sort((a, b) => b.members.length - a.members.length || (Number(b.lead.reach) || 0) - (Number(a.lead.reach) || 0))
+    .slice(0, TOP_STORIES);
+
+  const bySource = {};
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  for (const m of mentions) {
+    const source = m.source || m.origin || "unknown";
+    bySource[source] = (bySource[source] || 0) + 1;
+    if (m.sentiment_label in sentiment) sentiment[m.sentiment_label]++;
+  }
+
+  const dateOf = (ts) => new Date(ts * 1000).toLocaleDateString("en-US", { timeZone: client.digest?.timezone, month: "short", day: "numeric" });
+  const range = `${dateOf(from)} – ${dateOf(to)}`;
+  const name = client.short_name || client.name;
+
+  return {
+    client: { slug: client.slug, name: client.name, short_name: name },
+    label,
+    label_lower: label.toLowerCase(),
+    range,
+    total: mentions.length,
+    plural: mentions.length !== 1,
+    story_count: grouped.length,
+    heading: `${name}: ${label}`,
+    subheading: `${range} · ${mentions.length} mention${mentions.length === 1 ? "" : "s"} in ${grouped.length} stor${grouped.length === 1 ? "y" : "ies"}`,
+    sentiment,
+    stories: stories.map(s => ({
+      title: s.lead.title,
+      link: s.lead.link,
+      source: s.lead.source || s.lead.origin,
+      date: dateOf(s.lead.published_ts || from),
+      reach: s.lead.reach || 0,
+      others: s.members.slice(1).map(m => ({ source: m.source || m.origin, link: m.link }))
+    })),
+    sources: Object.entries(bySource).sort((a, b) => b[1] - a[1]).slice(0, TOP_SOURCES).map(([source, count]) => ({ source, count })),
+    source_counts: bySource,
+    ...footerData(`${label} for ${client.name}, sent to its alert recipients.`)
+  };
+}
+
+/**
+ * Build a client's digest for a window
+ * @returns {Promise<{subject:string, html:string, text:string, stats:Object}>}
+ */
+export async function buildDigest(redis, client, window) {
+  const data = await digestData(redis, client, window);
+  const email = await renderEmail(redis, "digest", data);
+  return { ...email, stats: { mentions: data.total, stories: data.story_count, sources: data.source_counts, sentiment: data.sentiment } };
+}
+
+async function logSend(redis, entry) {
+  await redis.lpush(LOG, JSON.stringify(entry));
+  await redis.ltrim(LOG, 0, LOG_MAX - 1);
+}
+
+/**
+ * A send log entry with its recipients' addresses redacted, for public reads
+ */
+export function publicLogEntry(entry) {
+  return { ...entry, to: (entry.to || []).map(redactEmail) };
+}
+
+/**
+ * Send log, newest first; recipients are redacted (publicLogEntry)
+ */
+export async function digestLog(redis, { slug, limit = 100 } = {}) {
+  const raw = await redis.lrange(LOG, 0, LOG_MAX - 1);
+  return (raw || []).map(toObj).filter(Boolean).filter(e => !slug || e.slug === slug).slice(0, limit).map(publicLogEntry);
+}
+
+/**
+ * Send one client's digest for its current period, at most once per period
+ * @param {Redis} redis
+ * @param {Object} client
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force=false] - Send before the scheduled hour (still once per period)
+ * @returns {Promise<Object|null>} - Log entry, or null when not due / already sent
+ */
+export async function sendClientDigest(redis, client, { force = false } = {}) {
+  if (!client.digest || client.digest.frequency === "off") return null;
+  if (!client.alert_recipients?.length) return null;
+
+  const { due, period, from, to } = digestPeriod(client.digest);
+  if (!due && !force) return null;
+
+  const claimKey = `${SENT_PREFIX}:${client.slug}:${period}`;
+  const claimed = await redis.set(claimKey, new Date().toISOString(), { nx: true, ex: CLAIM_TTL });
+  if (!claimed) return null;
+
+  const label = client.digest.frequency === "weekly" ? "Weekly digest" : "Daily digest";
+  let entry;
+  try {
+    const { subject, html, text, stats } = await buildDigest(redis, client, { from, to, label });
+    const sent = await sendEmail({ to: client.alert_recipients, subject, html, text });
+    entry = {
+      slug: client.slug,
+      period,
+      frequency: client.digest.frequency,
+      sent_at: new Date().toISOString(),
+      to: client.alert_recipients,
+      mentions: stats.mentions,
+      stories: stats.stories,
+      status: sent.ok ? "sent" : "failed",
+      ...(sent.ok ? { email_id: sent.id } : { error: sent.error })
+    };
+  } catch (e) {
+    entry = { slug: client.slug, period, frequency: client.digest.frequency, sent_at: new Date().toISOString(), status: "failed", error: e?.message || String(e) };
+  }
+
+  if (entry.status !== "sent") await redis.del(claimKey); // retry next run
+  await logSend(redis, entry);
+  console.log(`[Digests] ${client.slug} ${period}: ${entry.status}${entry.error ? ` (${entry.error})` : ""}`);
+  return entry;
+}
+
+/**
+ * Send every due digest
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {string} [opts.slug] - Only this client
+ * @param {boolean} [opts.force=false]
+ * @returns {Promise<Array<Object>>} - Log entries of this run
+ */
+export async function sendDueDigests(redis, { slug, force = false } = {}) {
+  const clients = slug ? [await getClient(redis, slug)].filter(Boolean) : await listClients(redis, { enabledOnly: true });
+  const entries = [];
+  for (const client of clients) {
+    const entry = await sendClientDigest(redis, client, { force });
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
@@ -0,0 +1,220 @@
+// client_registry.js
+// Redis-backed registry of the clients the dashboard monitors
+//
+// A client's slug is also the origin of its feeds' mentions. Onboarding a client is a
+// POST to /api/clients: its feeds are registered in the feed registry, its keywords and
+// exclusions become filter rules, and the chat prompt, summary bar, alert recipients
+// and the scheduled digests (client_digest.js) all read from here. The six original
+// clients are seeded on first use.
+
+import { listFeeds, saveFeed, validateFeed } from "./feed_registry.js";
+import { REDACTED, redactEmail } from "./alert_channels.js";
+
+const CLIENTS_HASH = "clients:registry";    // slug -> client JSON
+const SEEDED_KEY = "clients:seeded";
+
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+const DEFAULT_DIGEST = { frequency: "off", hour: 8, weekday: 1, timezone: "America/New_York" };
+
+const DEFAULT_CLIENTS = [
+  { slug: "delta_air_lines", name: "Delta Air Lines", short_name: "Delta", aliases: ["Delta Airlines"], tickers: ["DAL"] },
+  { slug: "guardant_health", name: "Guardant Health", short_name: "Guardant", tickers: ["GH"] },
+  { slug: "albemarle", name: "Albemarle", short_name: "Albemarle", aliases: ["Albemarle Corporation", "Albemarle Corp"], tickers: ["ALB"] },
+  { slug: "adelanto_healthcare", name: "Adelanto Healthcare", short_name: "Adelanto", aliases: ["Adelanto HealthCare Ventures"] },
+  { slug: "carlos_zafarini", name: "Carlos Zaffirini Jr.", short_name: "Zaffirini", aliases: ["Carlos Zaffirini"] },
+  { slug: "stubhub", name: "StubHub", short_name: "StubHub", tickers: ["STUB"] }
+];
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(s => String(s).trim()).filter(Boolean);
+  if (typeof v === "string") return v.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate and normalise a client definition
+ * @param {Object} input - Fields from the API or seed
+ * @param {Object} [existing] - Stored client when updating
+ * @returns {{client?:Object, error?:string}}
+ */
+export function validateClient(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const name = (merged.name || "").toString().trim();
+  if (!name) return { error: "name is required" };
+
+  const slug = (existing?.slug || merged.slug || name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")).toString();
+  if (!/^[a-z0-9_]+$/.test(slug)) return { error: "slug must be a-z, 0-9 and _" };
+
+  const recipients = toList(merged.alert_recipients);
+  if (recipients.some(r => r.includes(REDACTED))) return { error: "alert_recipients are redacted (as listed by GET); send the full addresses" };
+  const badEmail = recipients.find(r => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(r));
+  if (badEmail) return { error: `invalid alert recipient: ${badEmail}` };
+
+  const feeds = toList(merged.feeds);
+  for (const url of feeds) {
+    try { new URL(url); } catch { return { error: `invalid feed URL: ${url}` }; }
+  }
+
+  let dedupe_threshold = null;
+  if (merged.dedupe_threshold !== undefined && merged.dedupe_threshold !== null && merged.dedupe_threshold !== "") {
+    dedupe_threshold = Number(merged.dedupe_threshold);
+    if (!(dedupe_threshold > 0 && dedupe_threshold <= 1)) return { error: "dedupe_threshold must be between 0 and 1" };
+  }
+
+  // Digest schedule: hour (0-23) and, for weekly, weekday (0 = Sunday) in the client's timezone
+  const d = { ...DEFAULT_DIGEST, ...(existing?.digest || {}), ...(input?.digest || {}) };
+  const digest = {
+    frequency: String(d.frequency).toLowerCase(),
+    hour: Number(d.hour),
+    weekday: Number(d.weekday),
+    timezone: String(d.timezone)
+  };
+  if (!DIGEST_FREQUENCIES.includes(digest.frequency)) return { error: `digest.frequency must be ${DIGEST_FREQUENCIES.join(", ")}` };
+  if (!(Number.isInteger(digest.hour) && digest.hour >= 0 && digest.hour <= 23)) return { error: "digest.hour must be 0-23" };
+  if (!(Number.isInteger(digest.weekday) && digest.weekday >= 0 && digest.weekday <= 6)) return { error: "digest.weekday must be 0-6 (0 = Sunday)" };
+  try { new Intl.DateTimeFormat("en-US", { timeZone: digest.timezone }); } catch { return { error: `unknown timezone: ${digest.timezone}` }; }
+
+  const now = new Date().toISOString();
+  const client = {
+    slug,
+    name,
+    short_name: (merged.short_name || name).toString().trim(),
+    aliases: toList(merged.aliases),
+    tickers: toList(merged.tickers).map(t => t.toUpperCase()),
+    feeds,
+    keywords: toList(merged.keywords),
+    exclusions: toList(merged.exclusions),
+    alert_recipients: recipients,
+    dedupe_threshold, // story similarity for near-duplicates (story_index.js); null = default
+    digest,
+    enabled: merged.enabled !== false && merged.enabled !== "false",
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  return { client };
+}
+
+async function seedDefaults(redis) {
+  const first = await redis.set(SEEDED_KEY, new Date().toISOString(), { nx: true });
+  if (!first) return 0;
+
+  // Attach the feeds the feed registry already holds for each client
+  const feeds = await listFeeds(redis);
+  for (const c of DEFAULT_CLIENTS) {
+    const { client } = validateClient({ ...c, feeds: feeds.filter(f => f.client === c.slug).map(f => f.url) });
+    await redis.hset(CLIENTS_HASH, { [client.slug]: JSON.stringify(client) });
+  }
+  console.log(`[Clients] Seeded registry with ${DEFAULT_CLIENTS.length} clients`);
+  return DEFAULT_CLIENTS.length;
+}
+
+/**
+ * A client without its alert recipients' addresses, for unauthenticated reads
+ */
+export function publicClient(client) {
+  return { ...client, alert_recipients: (client.alert_recipients || []).map(redactEmail) };
+}
+
+/**
+ * All registered clients, sorted by name
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {boolean} [opts.enabledOnly=false]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listClients(redis, { enabledOnly = false } = {}) {
+  let all = await redis.hgetall(CLIENTS_HASH);
+  if (!all || !Object.keys(all).length) {
+    if (await seedDefaults(redis)) all = await redis.hgetall(CLIENTS_HASH);
+  }
+  return Object.values(all || {})
+    .map(toObj)
+    .filter(Boolean)
+    .filter(c => !enabledOnly || c.enabled)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getClient(redis, slug) {
+  return toObj(await redis.hget(CLIENTS_HASH, slug));
+}
+
+/**
+ * Store a client and register any of its feeds the feed registry doesn't know yet
+ * @returns {Promise<{client:Object, feeds_added:number}>}
+ */
+export async function saveClient(redis, client) {
+  await redis.hset(CLIENTS_HASH, { [client.slug]: JSON.stringify(client) });
+
+  const known = new Set((await listFeeds(redis, { origin: client.slug })).map(f => f.url));
+  let added = 0;
+  for (const url of client.feeds) {
+    if (known.has(url)) continue;
+    const { feed } = validateFeed({ url, origin: client.slug, client: client.slug, section: client.name });
+    if (feed) { await saveFeed(redis, feed); added++; }
+  }
+  return { client, feeds_added: added };
+}
+
+export async function deleteClient(redis, slug) {
+  return (await redis.hdel(CLIENTS_HASH, slug)) > 0;
+}
+
+/**
+ * Filter rules (see filter_rules.js) for each client's exclusions and required keywords
+ * @param {Array<Object>} clients - From listClients
+ * @returns {Array<Object>}
+ */
+export function clientRules(clients) {
+  const rules = [];
+  for (const c of clients) {
+    if (c.exclusions.length) {
+      rules.push({
+        id: `client:${c.slug}:exclusions`,
+        description: `${c.name}: registry exclusions`,
+        scope: [c.slug],
+        priority: 500,
+        action: "exclude",
+        match: { field: "text", words: c.exclusions }
+      });
+    }
+    if (c.keywords.length) {
+      rules.push({
+        id: `client:${c.slug}:keywords`,
+        description: `${c.name}: none of the registry keywords`,
+        scope: [c.slug],
+        priority: 510,
+        action: "exclude",
+        match: { none: [{ field: "text", words: c.keywords }] }
+      });
+    }
+  }
+  return rules;
+}
+
+/**
+ * Find the client a piece of text is about by name, alias or ticker
+ * ("NYSE: DAL", "(DAL)", "$DAL"). Returns the slug or null.
+ */
+export function matchClient(clients, text) {
+  for (const c of clients) {
+    const names = [c.name, ...c.aliases].map(escapeRegex);
+    if (new RegExp(`\\b(${names.join("|")})\\b`, "i").test(text)) return c.slug;
+
+    for (const t of c.tickers) {
+      const tk = escapeRegex(t);
+      if (new RegExp(`(NYSE|NASDAQ):\\s*${tk}\\b|\\(${tk}\\)|\\$${tk}\\b`).test(text)) return c.slug;
+    }
+  }
+  return null;
+}
@@ -1,5 +1,6 @@
 // Store and retrieve client summaries
 import { Redis } from "@upstash/redis";
+import { publishEvent } from "./event_bus.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -34,6 +35,7 @@ export default async function handler(req, res) {
         score: Math.floor(timestamp / 1000),
         member: JSON.stringify(summaryObj)
       });
+      await publishEvent(redis, "summary.saved", { id: summaryId, title, created_at: summaryObj.created_at });
 
       return res.status(200).json({
         ok: true,
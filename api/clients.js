@@ -0,0 +1,126 @@
+// /api/clients.js
+// CRUD for the client registry (see client_registry.js)
+//
+// GET    /api/clients                  list clients (with 24h / 7-day / total mention counts when ?counts=1)
+// GET    /api/clients?slug=stubhub     one client
+// POST   /api/clients                  create { name, slug, short_name, aliases, tickers, feeds, keywords, exclusions, alert_recipients, dedupe_threshold,
+//                                       digest: { frequency: off|daily|weekly, hour, weekday, timezone }, enabled }
+// PUT    /api/clients?slug=stubhub     update (partial body allowed)
+// DELETE /api/clients?slug=stubhub     remove (its feeds stay in /api/feeds)
+//
+// Writes require ADMIN_TOKEN via x-admin-token header or ?token=; without it, GET lists
+// alert_recipients redacted
+import { Redis } from "@upstash/redis";
+import { listClients, getClient, saveClient, deleteClient, validateClient, publicClient } from "./client_registry.js";
+import { indexesReady, countUnionInIndexes } from "./mention_store.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+const ZSET = "mentions:z";
+const RETENTION_DAYS = 14;
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Mentions per client over the retention window, matched on origin or client tag
+async function mentionCounts(clients) {
+  const now = Math.floor(Date.now() / 1000);
+
+  // Counted on each client's indexes (mention_store.js), nothing loaded
+  if (await indexesReady(redis)) {
+    const counts = {};
+    for (const c of clients) {
+      const indexes = [{ dimension: "client", value: c.slug }, { dimension: "origin", value: c.slug }];
+      const [total, week, recent] = await Promise.all([
+        countUnionInIndexes(redis, indexes, now - RETENTION_DAYS * 24 * 3600, now),
+        countUnionInIndexes(redis, indexes, now - 7 * 24 * 3600, now),
+        countUnionInIndexes(redis, indexes, now - 24 * 3600, now)
+      ]);
+      counts[c.slug] = { total, last_7d: week, last_24h: recent };
+    }
+    return counts;
+  }
+
+  const raw = await redis.zrange(ZSET, now - RETENTION_DAYS * 24 * 3600, now, { byScore: true });
+  const counts = Object.fromEntries(clients.map(c => [c.slug, { total: 0, last_7d: 0, last_24h: 0 }]));
+
+  for (const m of raw.map(toObj).filter(Boolean)) {
+    const slug = counts[m.client] ? m.client : counts[m.origin] ? m.origin : null;
+    if (!slug) continue;
+    counts[slug].total++;
+    if ((m.published_ts || 0) >= now - 7 * 24 * 3600) counts[slug].last_7d++;
+    if ((m.published_ts || 0) >= now - 24 * 3600) counts[slug].last_24h++;
+  }
+  return counts;
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const slug = (url.searchParams.get("slug") || "").toLowerCase().trim();
+    const token = req.headers["x-admin-token"] || url.searchParams.get("token");
+    const admin = !!token && token === process.env.ADMIN_TOKEN;
+
+    if (req.method === "GET") {
+      const view = admin ? (c) => c : publicClient;
+      if (slug) {
+        const client = await getClient(redis, slug);
+        if (!client) return res.status(404).json({ ok: false, error: "client not found" });
+        return res.status(200).json({ ok: true, client: view(client) });
+      }
+      const clients = await listClients(redis, { enabledOnly: url.searchParams.get("enabled") === "1" });
+      if (url.searchParams.get("counts") === "1") {
+        const counts = await mentionCounts(clients);
+        clients.forEach(c => { c.counts = counts[c.slug]; });
+      }
+      return res.status(200).json({ ok: true, count: clients.length, clients: clients.map(view) });
+    }
+
+    if (!admin) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    if (req.method === "POST") {
+      const { client, error } = validateClient(parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      if (await getClient(redis, client.slug)) {
+        return res.status(409).json({ ok: false, error: "client already registered", slug: client.slug });
+      }
+      const saved = await saveClient(redis, client);
+      return res.status(201).json({ ok: true, ...saved });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const existing = slug && await getClient(redis, slug);
+      if (!existing) return res.status(404).json({ ok: false, error: "client not found" });
+      const { client, error } = validateClient(parseBody(req), existing);
+      if (error) return res.status(400).json({ ok: false, error });
+      const saved = await saveClient(redis, client);
+      return res.status(200).json({ ok: true, ...saved });
+    }
+
+    if (req.method === "DELETE") {
+      if (!slug) return res.status(400).json({ ok: false, error: "slug required" });
+      const removed = await deleteClient(redis, slug);
+      if (!removed) return res.status(404).json({ ok: false, error: "client not found" });
+      return res.status(200).json({ ok: true, removed: slug });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    console.error("Clients API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
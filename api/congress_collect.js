@@ -1,6 +1,8 @@
 // /api/congress_collect.js
 // Tracks HR 3838 (119th Congress) with milestone tracking
 import { Redis } from "@upstash/redis";
+import { upsertMentions, trimMentions } from "./mention_store.js";
+import { publishMentionEvents } from "./event_bus.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -240,14 +242,15 @@ Amendments: ${amendments.length}`;
       latest_action_date: actionDate
     };
 
-    // Store in Redis (using zadd which will update if exists)
+    // Store in Redis; replaces the bill's previous record instead of adding another
     await redis.sadd(SEEN_ID, mid);
     await redis.sadd(SEEN_LINK, canon);
-    await redis.zadd(ZSET, { score: ts, member: JSON.stringify(m) });
+    await upsertMentions(redis, [m]);
+    await publishMentionEvents(redis, [m]); // stored outside runPipeline, so no post-store hooks
 
     // Trim old articles
     const cutoffTimestamp = Math.floor(Date.now() / 1000) - (RETENTION_DAYS * 24 * 60 * 60);
-    await redis.zremrangebyscore(ZSET, '-inf', cutoffTimestamp);
+    await trimMentions(redis, cutoffTimestamp);
 
     console.log(`Bill ${billId} updated successfully`);
 
@@ -1,13 +1,13 @@
 import { Redis } from "@upstash/redis";
+import { upsertMentions } from "./mention_store.js";
 const redis = new Redis({ url: process.env.KV2_REST_API_URL, token: process.env.KV2_REST_API_TOKEN });
-const ZSET = "mentions:z";
 
 export default async function handler(req, res){
   try{
     if (req.method !== "GET") { res.status(405).send("Use GET"); return; }
 
     const now = Math.floor(Date.now()/1000);
-    const member = JSON.stringify({
+    const mention = {
       id: "debug_" + now,
       origin: "meltwater",
       section: "Meltwater",
@@ -17,10 +17,10 @@ export default async function handler(req, res){
       published_ts: now,
       published: new Date(now*1000).toISOString(),
       provider_meta: { reach: 123 }
-    });
+    };
 
-    const wrote = await redis.zadd(ZSET, { score: now, member });
-    res.status(200).json({ ok:true, wrote, score: now });
+    const { inserted } = await upsertMentions(redis, [mention]);
+    res.status(200).json({ ok:true, wrote: inserted, score: now });
   } catch (e) {
     res.status(500).json({ ok:false, error: e?.message || String(e) });
   }
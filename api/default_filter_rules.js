@@ -0,0 +1,308 @@
+// default_filter_rules.js
+// Built-in filter rules, migrated from collect.js's shouldFilterArticle()
+//
+// Rule format (see filter_rules.js): lower priority runs first, the first matching
+// rule decides. Keyword lists keep the original substring semantics on lowercased text.
+
+// ---- universal rules (all sources) ----
+export const UNIVERSAL_RULES = [
+  {
+    id: "earnings_snapshot",
+    description: "Syndicated \"Earnings Snapshot\" articles (AP wire spam)",
+    scope: "all",
+    priority: 100,
+    action: "exclude",
+    match: { field: "title", contains: ["Earnings Snapshot"], case_sensitive: true }
+  },
+  {
+    id: "opinion",
+    description: "Opinion/editorial pieces",
+    scope: "all",
+    priority: 110,
+    action: "exclude",
+    match: {
+      any: [
+        {
+          field: "title",
+          contains: [
+            "opinion:", "op-ed:", "commentary:", "editorial:", "column:",
+            "guest column", "my view:", "viewpoint:", "perspective:",
+            "letter to", "letters:", "i believe", "in my opinion",
+            "we need to", "it's time to", "why we should", "why we must"
+          ]
+        },
+        { field: "url", contains: ["/opinion/", "/commentary/", "/op-ed/", "/editorial/", "/columns/"] }
+      ]
+    }
+  },
+  {
+    id: "shopping",
+    description: "Shopping/product listings",
+    scope: "all",
+    priority: 120,
+    action: "exclude",
+    match: {
+      any: [
+        {
+          field: "text",
+          contains: [
+            "on sale for", "buy now and save", "limited time offer",
+            "shop the collection", "shop now", "save up to",
+            "discount code", "promo code", "coupon code",
+            "free shipping", "best deals", "price drop"
+          ]
+        },
+        { field: "title", regex: "\\$\\d+(\\.\\d{2})?" }
+      ]
+    }
+  },
+  {
+    id: "stock_price",
+    description: "Stock price/trading articles",
+    scope: "all",
+    priority: 130,
+    action: "exclude",
+    match: {
+      any: [
+        {
+          field: "text",
+          contains: [
+            "stock price", "share price", "stock rises", "stock falls", "stock drops",
+            "shares rise", "shares fall", "shares drop", "stock jumps", "stock climbs",
+            "trading at", "trades at", "market cap", "stock market", "wall street",
+            "stock analyst", "price target", "earnings per share", "eps", "stock ticker",
+            "nasdaq", "nyse", "dow jones", "stock rallies", "stock plunges",
+            "investors", "shareholders", "stock performance", "quarterly earnings",
+            "stock rating", "buy rating", "sell rating", "hold rating",
+            "pre-market", "after-hours trading", "stock watch", "market watch"
+          ]
+        },
+        {
+          field: "title",
+          contains: [
+            "stock up", "stock down", "shares up", "shares down",
+            "gains on", "drops on", "stock cheap", "stock expensive",
+            "stock performs", "stock move", "stock climbs", "stock falls",
+            "stock outlook", "stock forecast", "stock analysis", "stock valuation",
+            "stock was", "stock flop", "stock soared", "stock plunged",
+            "stock dipped", "stock surged", "stock slumped", "stock tanked",
+            "(dal) ", "(stub) ", " dal ", " stub " // Stock tickers in title
+          ]
+        }
+      ]
+    }
+  }
+];
+
+// ---- Delta Air Lines: incidents, routes, airport/TSA and generic industry news ----
+const DELTA_RULES = [
+  {
+    id: "delta_incident",
+    description: "Delta: airplane incidents",
+    scope: ["delta_air_lines"],
+    priority: 200,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "incident", "crash", "emergency", "accident", "diverted", "grounded",
+        "delayed", "cancellation", "mechanical issue", "safety concern",
+        "investigation", "turbulence", "forced landing", "engine failure",
+        "medical emergency", "unruly passenger"
+      ]
+    }
+  },
+  {
+    id: "delta_route",
+    description: "Delta: route and schedule announcements",
+    scope: ["delta_air_lines"],
+    priority: 210,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "new route", "adds service", "launches flight", "new destination",
+        "expands service", "adds flight", "inaugural flight", "direct flight to",
+        "nonstop service", "new nonstop", "will fly to", "service to",
+        "announces route", "route from", "route to", "flights to",
+        "flights from", "adding flights", "new flights", "begins service",
+        "starts service", "route expansion", "flight schedule", "new service to",
+        "increases flights", "increases service", "adds daily flight",
+        "cuts service", "ends operations at", "exits market", "suspends flights"
+      ]
+    }
+  },
+  {
+    id: "delta_airport_security",
+    description: "Delta: airport/TSA security news",
+    scope: ["delta_air_lines"],
+    priority: 220,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "tsa investigating", "tsa finds", "tsa discovered", "tsa checkpoint",
+        "security checkpoint", "airport security", "screeners found",
+        "went through security", "hazardous item", "weapon found", "security breach",
+        "meat cleaver", "made it onto a plane", "made it through security"
+      ]
+    }
+  },
+  {
+    id: "delta_generic_airline",
+    description: "Delta: generic airline industry news",
+    scope: ["delta_air_lines"],
+    priority: 230,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "airlines will not have to", "airlines must", "airlines face",
+        "airline industry", "aviation industry", "carriers including",
+        "among airlines", "airlines like delta", "delta and other airlines",
+        "major airlines", "u.s. airlines", "domestic carriers"
+      ]
+    }
+  },
+  {
+    id: "delta_faa_generic",
+    description: "Delta: generic FAA/regulatory news",
+    scope: ["delta_air_lines"],
+    priority: 240,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "faa ends", "faa lifts", "faa issues", "faa requires",
+        "flight restriction order", "airspace restriction", "faa rule"
+      ]
+    }
+  }
+];
+
+// ---- Albemarle: only Albemarle Corporation, not the places ----
+const ALBEMARLE_RULES = [
+  {
+    id: "albemarle_geographic",
+    description: "Albemarle: county/city/street false positives",
+    scope: ["albemarle"],
+    priority: 300,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "albemarle county", "albemarle, nc", "albemarle north carolina",
+        "city of albemarle", "charlottesville", "albemarle sound",
+        "albemarle road", "albemarle st", "albemarle street", "albemarle ave",
+        "zoning", "rezoning", "land use", "parcel", "planning board"
+      ]
+    }
+  },
+  {
+    id: "albemarle_non_corporate",
+    description: "Albemarle: no corporation/business indicator",
+    scope: ["albemarle"],
+    priority: 310,
+    action: "exclude",
+    match: {
+      none: [
+        {
+          field: "text",
+          contains: [
+            "corporation", "corp.", "company", "albemarle corp",
+            " alb ",          // Stock ticker (with spaces)
+            "lithium", "chemical",
+            "kings mountain"  // Mine location
+          ]
+        },
+        { all: [{ field: "text", contains: ["charlotte"] }, { field: "text", contains: ["based"] }] } // HQ
+      ]
+    }
+  }
+];
+
+// ---- StubHub: ticket buying guides and event coverage ----
+const STUBHUB_RULES = [
+  {
+    id: "stubhub_ticket_guide",
+    description: "StubHub: ticket buying guides",
+    scope: ["stubhub"],
+    priority: 400,
+    action: "exclude",
+    match: {
+      field: "text",
+      contains: [
+        "how to get tickets", "how to buy", "where to buy tickets", "ticket guide",
+        "buying guide", "purchase tickets", "get your tickets", "buy tickets",
+        "tickets available", "on sale now", "tickets on sale", "cheapest tickets",
+        "best way to get", "how to find tickets"
+      ]
+    }
+  },
+  {
+    id: "stubhub_event_coverage",
+    description: "StubHub: sports/concert event coverage without business news",
+    scope: ["stubhub"],
+    priority: 410,
+    action: "exclude",
+    match: {
+      all: [
+        {
+          field: "text",
+          contains: [
+            // Sports event indicators
+            "game preview", "game recap", "match preview", "match recap",
+            "starting lineup", "injury report", "game day", "matchup",
+            "vs.", "vs ", " v ", " @ ", // Common game notation (Lakers vs Celtics)
+            "score", "final score", "box score", "play-by-play",
+            "postgame", "pregame", "halftime", "overtime",
+            "wins", "loses", "defeats", "beats", "victory", "defeated",
+            "touchdown", "home run", "goal", "basket", "points scored",
+            "playoff", "championship game", "world series", "super bowl",
+            "nba game", "nfl game", "mlb game", "nhl game", "mls game",
+            "sports event", "sporting event", "game tonight", "game tomorrow",
+            "season opener", "season finale", "game highlights", "game results",
+            "team wins", "team loses", "game score", "final result",
+
+            // Concert/music event indicators
+            "concert review", "concert recap", "setlist",
+            "performs at", "performed at", "performance at",
+            "takes the stage", "opening act", "headliner",
+            "tour stops", "tour date", "concert venue",
+            "live performance", "live show", "sold out show",
+            "encore", "acoustic set", "concert tonight", "concert tomorrow",
+            "show tonight", "show tomorrow", "music event",
+
+            // General event coverage
+            "event recap", "event review", "event highlights",
+            "what happened at", "photos from", "watch highlights",
+            "event coverage", "event results", "event tonight"
+          ]
+        },
+        {
+          // StubHub business indicators (keep these articles)
+          // NOTE: Do NOT include just "stubhub" - all articles mention it!
+          none: [{
+            field: "text",
+            contains: [
+              "stubhub fees", "stubhub pricing", "service charge", "platform",
+              "marketplace", "resale", "secondary market",
+              "ticket platform", "ticket marketplace", "dynamic pricing",
+              "all-in pricing", "transparency", "price guarantee",
+              "ticket protection", "fanprotect", "customer service",
+              "refund policy", "ticket delivery", "mobile tickets",
+              "stubhub ceo", "stubhub lawsuit", "stubhub settlement",
+              "stubhub acquisition", "stubhub merger", "stubhub revenue",
+              "stubhub investigation", "stubhub probe", "watchdog", "antitrust"
+            ]
+          }]
+        }
+      ]
+    }
+  }
+];
+
+// Guardant Health and all other clients: universal rules only
+export const CLIENT_RULES = [...DELTA_RULES, ...ALBEMARLE_RULES, ...STUBHUB_RULES];
+
+export const DEFAULT_RULES = [...UNIVERSAL_RULES, ...CLIENT_RULES];
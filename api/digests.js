@@ -0,0 +1,69 @@
+// /api/digests.js
+// Scheduled per-client email digests (see client_digest.js)
+//
+// GET  /api/digests                          cron: send every digest that is due (once per period)
+// GET  /api/digests?log=1[&slug=...]         send log, newest first (recipients redacted)
+// GET  /api/digests?slug=stubhub&preview=1   the client's digest as it would go out now (HTML)
+// POST /api/digests?slug=stubhub             send now, before the scheduled hour; still once per period
+//
+// Schedules live on the client: PUT /api/clients?slug=... { digest: { frequency, hour, weekday, timezone } }
+// POST requires ADMIN_TOKEN via x-admin-token header or ?token=
+import { Redis } from "@upstash/redis";
+import { getClient } from "./client_registry.js";
+import { sendDueDigests, buildDigest, digestPeriod, digestLog, publicLogEntry } from "./client_digest.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const slug = (params.get("slug") || "").toLowerCase().trim();
+
+    if (req.method === "GET" && params.get("log") === "1") {
+      const limit = Math.max(1, Math.min(500, parseInt(params.get("limit") || "100", 10) || 100));
+      const log = await digestLog(redis, { slug: slug || undefined, limit });
+      return res.status(200).json({ ok: true, count: log.length, log });
+    }
+
+    if (req.method === "GET" && params.get("preview") === "1") {
+      const client = slug && await getClient(redis, slug);
+      if (!client) return res.status(404).json({ ok: false, error: "client not found" });
+      const digest = client.digest?.frequency === "off" ? { ...client.digest, frequency: "daily" } : client.digest;
+      const { from, to } = digestPeriod(digest || { frequency: "daily", timezone: "America/New_York" });
+      const { subject, html } = await buildDigest(redis, client, { from, to, label: digest?.frequency === "weekly" ? "Weekly digest" : "Daily digest" });
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(`<title>${subject.replace(/[<&]/g, "")}</title>${html}`);
+    }
+
+    if (req.method === "GET") {
+      const sent = await sendDueDigests(redis);
+      return res.status(200).json({ ok: true, sent: sent.length, digests: sent.map(publicLogEntry) });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const token = req.headers["x-admin-token"] || params.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+    if (!slug) return res.status(400).json({ ok: false, error: "slug required" });
+    if (!(await getClient(redis, slug))) return res.status(404).json({ ok: false, error: "client not found" });
+
+    const sent = await sendDueDigests(redis, { slug, force: true });
+    res.status(200).json({
+      ok: true,
+      sent: sent.length,
+      digests: sent,
+      ...(sent.length ? {} : { note: "not sent: digest off, no alert_recipients, or already sent this period" })
+    });
+  } catch (e) {
+    console.error("Digests API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,275 @@
+// email_templates.js
+// Email templating for alerts and digests: auto-escaping, plain-text parts, partials
+//
+// A template is { subject, html, text }, each written in a small mustache-like syntax:
+//   {{path.to.value}}         escaped for HTML (html part only; subject and text are plain)
+//   {{{value}}}               unescaped
+//   {{url link}}              http(s) links only, anything else becomes "#"
+//   {{#each list}}…{{/each}}  loop; inside, {{this}} / {{field}} / {{@index}}; outer names still resolve
+//   {{#if value}}…{{else}}…{{/if}}   empty arrays count as false
+//   {{> partial}}             include a partial (article_card, client_header, footer) with the current data
+//
+// The built-in templates below can be overridden per name in Redis (PUT /api/templates);
+// deleting the override restores the built-in.
+
+const TEMPLATES_HASH = "email:templates";   // name -> { subject, html, text, updated_at }
+
+// ---- built-ins ----
+
+const PARTIALS = {
+  article_card: {
+    html: `<li style="margin-bottom:14px">
+  <a href="{{url link}}" style="color:#1b5e20;font-weight:600;text-decoration:none">{{title}}</a><br>
+  <span style="color:#666;font-size:13px">{{source}}{{#if date}} · {{date}}{{/if}}{{#if reach}} · reach {{reach}}{{/if}}{{#if sentiment_label}} · {{sentiment_label}}{{/if}}{{#if others}} · also {{#each others}}{{#if @index}}, {{/if}}<a href="{{url link}}" style="color:#4a6741">{{source}}</a>{{/each}}{{/if}}</span>
+</li>`,
+    text: `- {{title}}
+  {{source}}{{#if date}} · {{date}}{{/if}}{{#if others}} (also {{#each others}}{{#if @index}}, {{/if}}{{source}}{{/each}}){{/if}}
+  {{url link}}
+`
+  },
+  client_header: {
+    html: `<h2 style="margin:0 0 4px">{{heading}}</h2>{{#if subheading}}<p style="color:#666;margin:0 0 16px">{{subheading}}</p>{{/if}}`,
+    text: `{{heading}}
+{{#if subheading}}{{subheading}}
+{{/if}}`
+  },
+  footer: {
+    html: `<p style="margin-top:24px;padding-top:12px;border-top:1px solid #eee;color:#999;font-size:12px">{{footer_note}}{{#if dashboard_url}} · <a href="{{url dashboard_url}}" style="color:#4a6741">Open the dashboard</a>{{/if}}{{#if manage_url}} · <a href="{{url manage_url}}" style="color:#4a6741">Manage or unsubscribe</a>{{/if}}</p>`,
+    text: `
+--
+{{footer_note}}{{#if dashboard_url}}
+Dashboard: {{dashboard_url}}{{/if}}{{#if manage_url}}
+Manage or unsubscribe: {{manage_url}}{{/if}}
+`
+  }
+};
+
+const BUILTIN = {
+  alert: {
+    description: "Alert rule match (alert_rules.js); one mention or a batch",
+    subject: `[{{rule.name}}] {{#if single}}{{first.title}}{{else}}{{count}} new mentions{{/if}}`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:640px;color:#1a1a1a">
+{{> client_header}}
+<ul style="padding-left:18px">{{#each mentions}}{{> article_card}}{{/each}}</ul>
+{{> footer}}
+</div>`,
+    text: `{{> client_header}}
+{{#each mentions}}{{> article_card}}
+{{/each}}{{> footer}}`
+  },
+  digest: {
+    description: "Scheduled client digest (client_digest.js)",
+    subject: `{{client.short_name}} {{label_lower}}: {{total}} mention{{#if plural}}s{{/if}} ({{range}})`,
+    html: `<div style="font-family:Arial,sans-serif;max-width:640px;color:#1a1a1a">
+{{> client_header}}
+<p style="margin:0 0 16px"><b>Sentiment:</b> {{sentiment.positive}} positive · {{sentiment.neutral}} neutral · {{sentiment.negative}} negative</p>
+{{#if stories}}<h3 style="margin:0 0 8px">Top stories</h3>
+<ul style="padding-left:18px">{{#each stories}}{{> article_card}}{{/each}}</ul>{{else}}<p>No new mentions in this period.</p>{{/if}}
+{{#if sources}}<h3 style="margin:16px 0 8px">By source</h3>
+<table style="border-collapse:collapse">{{#each sources}}<tr><td style="padding:2px 16px 2px 0">{{source}}</td><td style="text-align:right">{{count}}</td></tr>{{/each}}</table>{{/if}}
+{{> footer}}
+</div>`,
+    text: `{{> client_header}}
+Sentiment: {{sentiment.positive}} positive, {{sentiment.neutral}} neutral, {{sentiment.negative}} negative
+
+{{#if stories}}TOP STORIES
+{{#each stories}}{{> article_card}}
+{{/each}}{{else}}No new mentions in this period.
+{{/if}}{{#if sources}}
+BY SOURCE
+{{#each sources}}{{source}}: {{count}}
+{{/each}}{{/if}}{{> footer}}`
+  }
+};
+
+export const TEMPLATE_NAMES = Object.keys(BUILTIN);
+export const PARTIAL_NAMES = Object.keys(PARTIALS);
+
+// ---- engine ----
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+const TAG = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Parse a template into a tree; throws on unbalanced sections
+ * @param {string} source
+ * @returns {Array<Object>}
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source || ""))) {
+    const top = stack[stack.length - 1];
+    const target = top.inElse ? top.elseChildren : top.children;
+    if (match.index > last) target.push({ type: "text", value: source.slice(last, match.index) });
+    last = TAG.lastIndex;
+
+    const [, rawPath, sigil, body] = match;
+    if (rawPath) { target.push({ type: "var", path: rawPath, raw: true }); continue; }
+
+    if (sigil === "#") {
+      const [kind, path] = body.split(/\s+/);
+      if (!["each", "if"].includes(kind) || !path) throw new Error(`unknown section {{#${body}}}`);
+      const node = { type: kind, path, children: [], elseChildren: [] };
+      target.push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || top.type !== body) throw new Error(`unexpected {{/${body}}}`);
+      stack.pop();
+    } else if (sigil === ">") {
+      if (!PARTIALS[body]) throw new Error(`unknown partial {{> ${body}}}`);
+      target.push({ type: "partial", name: body });
+    } else if (body === "else") {
+      if (top.type !== "if") throw new Error("{{else}} outside {{#if}}");
+      top.inElse = true;
+    } else {
+      const [first, second] = body.split(/\s+/);
+      target.push(second ? { type: "var", helper: first, path: second } : { type: "var", path: first });
+    }
+  }
+  if (stack.length > 1) throw new Error(`unclosed {{#${stack[stack.length - 1].type}}}`);
+  const top = root.children;
+  if (last < (source || "").length) top.push({ type: "text", value: source.slice(last) });
+  return top;
+}
+
+function lookup(scopes, path) {
+  if (path === "this") return scopes[0];
+  const [head, ...rest] = path.split(".");
+  for (const scope of scopes) {
+    if (scope && typeof scope === "object" && head in scope) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function truthy(v) {
+  return Array.isArray(v) ? v.length > 0 : !!v;
+}
+
+function renderNodes(nodes, scopes, mode) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") out += node.value;
+    else if (node.type === "var") {
+      let v = lookup(scopes, node.path);
+      if (node.helper === "url") v = /^https?:\/\//i.test(v || "") ? v : "#";
+      v = v == null ? "" : String(v);
+      out += mode === "html" && !node.raw ? escapeHtml(v) : v;
+    } else if (node.type === "if") {
+      out += renderNodes(truthy(lookup(scopes, node.path)) ? node.children : node.elseChildren, scopes, mode);
+    } else if (node.type === "each") {
+      const list = lookup(scopes, node.path);
+      (Array.isArray(list) ? list : []).forEach((item, i) => {
+        out += renderNodes(node.children, [item, { "@index": i }, ...scopes], mode);
+      });
+    } else if (node.type === "partial") {
+      out += renderNodes(parseTemplate(PARTIALS[node.name][mode === "html" ? "html" : "text"]), scopes, mode);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render one template string
+ * @param {string} source
+ * @param {Object} data
+ * @param {"html"|"text"} [mode="html"] - html escapes {{values}}; text leaves them as is
+ * @returns {string}
+ */
+export function renderTemplate(source, data, mode = "html") {
+  return renderNodes(parseTemplate(source), [data], mode);
+}
+
+// ---- stored templates ----
+
+/**
+ * Check a { subject, html, text } template parses
+ * @returns {{template?:Object, error?:string}}
+ */
+export function validateTemplate(name, input) {
+  if (!BUILTIN[name]) return { error: `unknown template: ${name} (one of ${TEMPLATE_NAMES.join(", ")})` };
+  const template = {
+    subject: (input?.subject ?? BUILTIN[name].subject).toString(),
+    html: (input?.html ?? BUILTIN[name].html).toString(),
+    text: (input?.text ?? BUILTIN[name].text).toString()
+  };
+  for (const part of ["subject", "html", "text"]) {
+    try { parseTemplate(template[part]); } catch (e) { return { error: `${part}: ${e.message}` }; }
+  }
+  return { template: { ...template, updated_at: new Date().toISOString() } };
+}
+
+/**
+ * A template by name: the Redis override if there is one, else the built-in
+ * @param {Redis|null} redis - null skips the lookup
+ * @param {string} name
+ * @returns {Promise<Object>} - { name, subject, html, text, custom }
+ */
+export async function getTemplate(redis, name) {
+  if (!BUILTIN[name]) throw new Error(`unknown template: ${name}`);
+  let stored = null;
+  if (redis) {
+    try {
+      stored = await redis.hget(TEMPLATES_HASH, name);
+      if (typeof stored === "string") stored = JSON.parse(stored);
+    } catch (e) {
+      console.error(`[Templates] Could not load ${name}, using built-in:`, e?.message || e);
+      stored = null;
+    }
+  }
+  return { name, description: BUILTIN[name].description, ...BUILTIN[name], ...(stored || {}), custom: !!stored };
+}
+
+export async function listTemplates(redis) {
+  const templates = [];
+  for (const name of TEMPLATE_NAMES) templates.push(await getTemplate(redis, name));
+  return templates;
+}
+
+export async function saveTemplate(redis, name, template) {
+  await redis.hset(TEMPLATES_HASH, { [name]: JSON.stringify(template) });
+  return template;
+}
+
+export async function resetTemplate(redis, name) {
+  return (await redis.hdel(TEMPLATES_HASH, name)) > 0;
+}
+
+/**
+ * Render a named email
+ * @param {Redis|null} redis
+ * @param {string} name - "alert" | "digest"
+ * @param {Object} data
+ * @param {Object} [override] - Unsaved { subject, html, text } to render instead (previews)
+ * @returns {Promise<{subject:string, html:string, text:string}>}
+ */
+export async function renderEmail(redis, name, data, override = null) {
+  const t = override || await getTemplate(redis, name);
+  return {
+    subject: renderTemplate(t.subject, data, "text").replace(/\s+/g, " ").trim(),
+    html: renderTemplate(t.html, data, "html"),
+    text: renderTemplate(t.text, data, "text")
+  };
+}
+
+// ---- shared data helpers ----
+
+/**
+ * Footer fields every template's footer partial reads
+ */
+export function footerData(note) {
+  const dashboard = process.env.DASHBOARD_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}/` : null);
+  return {
+    footer_note: note,
+    dashboard_url: dashboard,
+    manage_url: process.env.EMAIL_MANAGE_URL || null
+  };
+}
@@ -0,0 +1,145 @@
+// event_bus.js
+// Real-time event bus: a capped Redis stream that /api/stream tails for the dashboard
+//
+// Event types:
+//   mention.stored   every mention an ingestion path stores (post-store hook, and congress_collect.js)
+//   spike            a newly detected volume spike (spike_detector.js)
+//   alert.fired      an alert rule delivered its matches (alert_rules.js)
+//   summary.saved    a client summary was saved (/api/client_summaries)
+// Each entry carries origin/client (comma-joined when an event spans several) so readers can
+// filter without parsing the payload; events with neither (summaries) reach every reader.
+// Publishing never throws: the bus must not fail the write that triggered it.
+
+const STREAM = "events:stream";
+const MAX_ENTRIES = Number(process.env.EVENTS_MAX_ENTRIES || 5000);
+
+export const EVENT_TYPES = ["mention.stored", "spike", "alert.fired", "summary.saved"];
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Upstash returns stream ranges as { id: fields } or [[id, [k, v, ...]], ...]
+function entriesOf(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) {
+    return raw.map(([id, kv]) => {
+      const fields = {};
+      for (let i = 0; i < (kv || []).length; i += 2) fields[kv[i]] = kv[i + 1];
+      return [id, fields];
+    });
+  }
+  return Object.entries(raw);
+}
+
+// Smallest stream id after "<ms>-<seq>" (XRANGE is inclusive)
+function nextId(id) {
+  const [ms, seq] = String(id).split("-");
+  return `${ms}-${Number(seq || 0) + 1}`;
+}
+
+function joined(values) {
+  return [...new Set(values.filter(Boolean).map(v => String(v).toLowerCase()))].join(",");
+}
+
+/**
+ * Append events in one pipelined write. Never throws.
+ * @param {Redis} redis
+ * @param {Array<{type:string, data:Object, origin?:string|string[], client?:string|string[]}>} events
+ * @returns {Promise<number>} - Events written
+ */
+export async function publishEvents(redis, events) {
+  if (!events?.length) return 0;
+  try {
+    const p = redis.pipeline();
+    for (const e of events) {
+      p.xadd(STREAM, "*", {
+        type: e.type,
+        origin: joined([e.origin].flat()),
+        client: joined([e.client].flat()),
+        data: JSON.stringify(e.data ?? null)
+      }, { trim: { type: "MAXLEN", threshold: MAX_ENTRIES, comparison: "~" } });
+    }
+    await p.exec();
+    return events.length;
+  } catch (error) {
+    console.error("[Events] Publish failed:", error);
+    return 0;
+  }
+}
+
+export async function publishEvent(redis, type, data, { origin, client } = {}) {
+  return publishEvents(redis, [{ type, data, origin, client }]);
+}
+
+/**
+ * Post-store hook: one mention.stored event per stored mention
+ * @returns {Promise<number>} - Events written
+ */
+export async function publishMentionEvents(redis, mentions) {
+  if (!mentions?.length) return 0;
+  return publishEvents(redis, mentions.map(m => ({
+    type: "mention.stored",
+    origin: m.origin,
+    client: m.client,
+    data: {
+      id: m.id,
+      title: m.title,
+      link: m.link,
+      source: m.source,
+      section: m.section,
+      origin: m.origin,
+      client: m.client || null,
+      published: m.published,
+      published_ts: m.published_ts,
+      reach: m.reach || 0,
+      sentiment_label: m.sentiment_label || null
+    }
+  })));
+}
+
+/**
+ * Id of the newest event, or "0-0" when the stream is empty; readers start here to get only new events
+ */
+export async function latestEventId(redis) {
+  const [entry] = entriesOf(await redis.xrevrange(STREAM, "+", "-", 1));
+  return entry ? entry[0] : "0-0";
+}
+
+/**
+ * Events after a cursor, oldest first
+ * @param {Redis} redis
+ * @param {Object} opts
+ * @param {string} opts.after - Stream id already seen (e.g. the SSE Last-Event-ID)
+ * @param {Array<string>} [opts.types] - Only these event types
+ * @param {string} [opts.origin] - Only events for this origin
+ * @param {string} [opts.client] - Only events for this client slug (matches client or origin)
+ * @param {number} [opts.limit=100] - Max entries read per call
+ * @returns {Promise<{events:Array<Object>, cursor:string, more:boolean}>} - cursor advances past filtered-out
+ *   entries too; more is true when a full batch was read
+ */
+export async function readEvents(redis, { after, types, origin, client, limit = 100 }) {
+  const raw = await redis.xrange(STREAM, nextId(after), "+", limit);
+  const entries = entriesOf(raw);
+  const has = (list, v) => String(list || "").split(",").includes(v);
+
+  const events = entries
+    .map(([id, fields]) => ({
+      id,
+      type: String(fields.type || ""),
+      origin: String(fields.origin || ""),
+      client: String(fields.client || ""),
+      data: toObj(fields.data)
+    }))
+    .filter(e => !types?.length || types.includes(e.type))
+    .filter(e => {
+      if (!e.origin && !e.client) return true;
+      if (origin && !has(e.origin, origin)) return false;
+      if (client && !has(e.client, client) && !has(e.origin, client)) return false;
+      return true;
+    });
+
+  return { events, cursor: entries.length ? entries[entries.length - 1][0] : after, more: entries.length >= limit };
+}
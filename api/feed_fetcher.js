@@ -0,0 +1,177 @@
+// feed_fetcher.js
+// Fetches registry feeds with bounded concurrency inside a per-run time budget
+//
+// Requests are conditional (ETag / Last-Modified), so unchanged feeds cost a 304.
+// Every fetch updates the feed's health record, which /api/feed_health reports on.
+// Feeds that haven't started when the budget runs out are checkpointed and fetched
+// first on the next run; they stay due because they were never marked fetched.
+
+import { markFetched, getFetchState, saveFetchState } from "./feed_registry.js";
+
+const PENDING_PREFIX = "feeds:pending";   // set of feed ids deferred by the last run, per collector
+
+const DEFAULT_CONCURRENCY = Number(process.env.FEED_FETCH_CONCURRENCY || 5);
+const DEFAULT_BUDGET_MS = Number(process.env.FEED_FETCH_BUDGET_MS || 35000);
+const FETCH_TIMEOUT_MS = 10000;
+export const HEALTH_DAYS = 14; // days of items-per-day history kept on a health record (plus today)
+
+const REQUEST_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+    '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8',
+};
+
+class FeedError extends Error {
+  constructor(kind, message) {
+    super(message);
+    this.kind = kind; // http | network | malformed
+  }
+}
+
+// Conditional GET, then parse. Resolves { notModified } on a 304.
+async function fetchFeed(parser, feedConfig, validators) {
+  const headers = { ...REQUEST_HEADERS };
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.last_modified) headers['If-Modified-Since'] = validators.last_modified;
+
+  let response;
+  try {
+    response = await fetch(feedConfig.url, { headers, redirect: "follow", signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (err) {
+    throw new FeedError("network", err?.name === "TimeoutError" ? `timed out after ${FETCH_TIMEOUT_MS}ms` : (err?.message || String(err)));
+  }
+
+  const cache = {
+    etag: response.headers.get("etag") || validators?.etag || null,
+    last_modified: response.headers.get("last-modified") || validators?.last_modified || null
+  };
+  if (response.status === 304) return { notModified: true, cache };
+  if (!response.ok) throw new FeedError("http", `HTTP ${response.status}`);
+
+  const xml = await response.text();
+  try {
+    return { feed: await parser.parseString(xml), cache };
+  } catch (err) {
+    throw new FeedError("malformed", `malformed feed: ${err?.message || err}`);
+  }
+}
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function itemTime(e) {
+  const t = Date.parse(e.isoDate || e.pubDate || e.published || e.updated || "");
+  return Number.isFinite(t) ? t : 0;
+}
+
+// Next health record after a fetch; "new" items are those published after the newest one seen before
+function nextHealth(prev, outcome, now) {
+  const h = {
+    last_success: null, last_error: null, last_error_at: null, last_error_kind: null,
+    consecutive_failures: 0, last_new_item_at: null, newest_item_at: null, items_by_day: {},
+    tracking_since: prev ? null : new Date(now).toISOString(), // null on records older than the field
+    ...(prev || {})
+  };
+  h.last_fetch = new Date(now).toISOString();
+  h.last_status = outcome.status;
+
+  if (outcome.status === "error") {
+    h.last_error = outcome.error;
+    h.last_error_at = h.last_fetch;
+    h.last_error_kind = outcome.kind;
+    h.consecutive_failures++;
+    return h;
+  }
+
+  h.last_success = h.last_fetch;
+  h.consecutive_failures = 0;
+
+  const newestBefore = h.newest_item_at ? Date.parse(h.newest_item_at) : 0;
+  const fresh = (outcome.entries || []).map(itemTime).filter(t => t > newestBefore);
+  if (fresh.length) {
+    const newest = Math.max(...fresh);
+    h.newest_item_at = new Date(newest).toISOString();
+    h.last_new_item_at = h.last_fetch;
+    const today = dayOf(now);
+    h.items_by_day[today] = (h.items_by_day[today] || 0) + fresh.length;
+  }
+
+  const oldestDay = dayOf(now - HEALTH_DAYS * 86400000);
+  for (const d of Object.keys(h.items_by_day)) if (d < oldestDay) delete h.items_by_day[d];
+  return h;
+}
+
+/**
+ * Fetch feeds and flatten their items
+ * @param {Redis} redis
+ * @param {Array<Object>} feeds - Due registry feeds
+ * @param {Object} opts
+ * @param {Parser} opts.parser - rss-parser instance of the collector (its customFields are used)
+ * @param {string} opts.name - Collector name, scopes the checkpoint (e.g. "rss")
+ * @param {number} [opts.concurrency] - Feeds fetched at once (FEED_FETCH_CONCURRENCY, default 5)
+ * @param {number} [opts.budgetMs] - No feed starts after this many ms (FEED_FETCH_BUDGET_MS, default 35000)
+ * @returns {Promise<{items:Array<{e:Object, feedConfig:Object, feedTitle:string}>, timings:Array, errors:Array, deferred:Array<string>, duration_ms:number}>}
+ */
+export async function fetchFeeds(redis, feeds, { parser, name, concurrency = DEFAULT_CONCURRENCY, budgetMs = DEFAULT_BUDGET_MS }) {
+  const pendingKey = `${PENDING_PREFIX}:${name}`;
+  const started = Date.now();
+  const deadline = started + budgetMs;
+
+  // Feeds deferred last time go first
+  const pending = new Set((await redis.smembers(pendingKey)) || []);
+  const queue = [...feeds].sort((a, b) => pending.has(b.id) - pending.has(a.id));
+  const state = await getFetchState(redis);
+
+  const items = [];
+  const timings = [];
+  const errors = [];
+  const fetched = [];
+  const health = {};
+  const cache = {};
+  let next = 0;
+
+  async function worker() {
+    while (next < queue.length && Date.now() < deadline) {
+      const feedConfig = queue[next++];
+      const t0 = Date.now();
+      const timing = { id: feedConfig.id, url: feedConfig.url, origin: feedConfig.origin };
+      let outcome;
+      try {
+        const { feed, notModified, cache: validators } = await fetchFeed(parser, feedConfig, state.cache[feedConfig.id]);
+        if (validators.etag || validators.last_modified) cache[feedConfig.id] = validators;
+        const entries = feed?.items || [];
+        const feedTitle = feed?.title || feedConfig.url;
+        for (const e of entries) items.push({ e, feedConfig, feedTitle });
+        fetched.push(feedConfig);
+        outcome = { status: notModified ? "not_modified" : "ok", entries };
+        timings.push({ ...timing, status: outcome.status, items: entries.length, ms: Date.now() - t0 });
+      } catch (err) {
+        const error = err?.message || String(err);
+        console.error(`[Feeds] Error fetching ${feedConfig.url}:`, error);
+        errors.push({ url: feedConfig.url, error });
+        outcome = { status: "error", kind: err?.kind || "network", error };
+        timings.push({ ...timing, status: "error", items: 0, ms: Date.now() - t0, error });
+      }
+      health[feedConfig.id] = nextHealth(state.health[feedConfig.id], outcome, Date.now());
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker));
+
+  const deferred = queue.slice(next);
+  for (const f of deferred) {
+    timings.push({ id: f.id, url: f.url, origin: f.origin, status: "deferred", items: 0, ms: 0 });
+  }
+
+  await markFetched(redis, fetched);
+  await saveFetchState(redis, health, cache);
+  await redis.del(pendingKey);
+  if (deferred.length) {
+    await redis.sadd(pendingKey, ...deferred.map(f => f.id));
+    console.log(`[Feeds] Budget of ${budgetMs}ms used up, deferred ${deferred.length} feeds to the next run`);
+  }
+
+  return { items, timings, errors, deferred: deferred.map(f => f.id), duration_ms: Date.now() - started };
+}
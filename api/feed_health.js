@@ -0,0 +1,95 @@
+// /api/feed_health.js
+// Health of every registry feed, from the records feed_fetcher.js keeps per fetch
+//
+// GET /api/feed_health[?flagged=1&dead_after=5&silent_days=7&origin=stubhub]
+//
+// Flags:
+// - dead:      dead_after or more consecutive failed fetches (default 5)
+// - silent:    no new item for silent_days days (default 7), or never since tracking began that long ago
+// - malformed: the last fetch returned something that isn't parseable RSS/Atom
+// - never_fetched: enabled, but no fetch recorded yet
+import { Redis } from "@upstash/redis";
+import { listFeeds, getFetchState } from "./feed_registry.js";
+import { HEALTH_DAYS } from "./feed_fetcher.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function flagsFor(feed, h, { deadAfter, silentDays, now }) {
+  const flags = [];
+  if (!feed.enabled) return flags;
+  if (!h) return ["never_fetched"];
+
+  if (h.consecutive_failures >= deadAfter) flags.push("dead");
+  if (h.last_status === "error" && h.last_error_kind === "malformed") flags.push("malformed");
+
+  const since = Date.parse(h.last_new_item_at || feed.created_at || "") || 0;
+  if (since && now - since > silentDays * 86400000) flags.push("silent");
+  return flags;
+}
+
+// Average over the days tracked, so days without new items count as zero; records
+// older than tracking_since count from their first day with items
+function itemsPerDay(h, now) {
+  const byDay = h?.items_by_day || {};
+  const counts = Object.values(byDay);
+  if (!counts.length) return 0;
+  const since = Date.parse(h.tracking_since || "") || Math.min(...Object.keys(byDay).map(d => Date.parse(d)));
+  const days = Math.min(HEALTH_DAYS + 1, Math.max(1, Math.ceil((now - since) / 86400000)));
+  return Math.round((counts.reduce((a, b) => a + b, 0) / days) * 10) / 10;
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const deadAfter = Math.max(parseInt(url.searchParams.get("dead_after") || "5", 10) || 5, 1);
+    const silentDays = Math.max(parseFloat(url.searchParams.get("silent_days") || "7") || 7, 0.1);
+    const flaggedOnly = url.searchParams.get("flagged") === "1";
+    const origin = (url.searchParams.get("origin") || "").toLowerCase().trim();
+
+    const [feeds, { health }] = await Promise.all([
+      listFeeds(redis, { origin: origin || undefined }),
+      getFetchState(redis)
+    ]);
+    const now = Date.now();
+
+    const rows = feeds.map(f => {
+      const h = health[f.id] || null;
+      return {
+        id: f.id,
+        url: f.url,
+        origin: f.origin,
+        type: f.type,
+        enabled: f.enabled,
+        flags: flagsFor(f, h, { deadAfter, silentDays, now }),
+        last_status: h?.last_status || null,
+        last_success: h?.last_success || null,
+        last_error: h?.last_error || null,
+        last_error_at: h?.last_error_at || null,
+        consecutive_failures: h?.consecutive_failures || 0,
+        last_new_item_at: h?.last_new_item_at || null,
+        items_per_day: itemsPerDay(h, now),
+        items_by_day: h?.items_by_day || {}
+      };
+    });
+
+    const summary = { total: rows.length, healthy: 0, dead: 0, silent: 0, malformed: 0, never_fetched: 0 };
+    for (const r of rows) {
+      if (!r.flags.length) summary.healthy++;
+      for (const flag of r.flags) summary[flag]++;
+    }
+
+    res.status(200).json({
+      ok: true,
+      thresholds: { dead_after: deadAfter, silent_days: silentDays },
+      summary,
+      feeds: flaggedOnly ? rows.filter(r => r.flags.length) : rows,
+      generated_at: new Date().toISOString()
+    });
+  } catch (e) {
+    console.error("Feed health error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,215 @@
+// feed_registry.js
+// Redis-backed registry of every RSS/Atom/YouTube/newsletter feed the collectors read
+//
+// Feeds are managed through /api/feeds. On first use the registry is seeded from the
+// legacy env vars (RSS_FEED_*, RSS_FEEDS, NEWSLETTER_RSS_FEEDS, LAW360_RSS_FEED) so an
+// existing deployment keeps collecting without data entry.
+
+import { hashString } from "./ingest_pipeline.js";
+
+const FEEDS_HASH = "feeds:registry";        // feed id -> feed JSON
+const FETCH_HASH = "feeds:last_fetch";      // feed id -> epoch seconds of last fetch
+const SEEDED_KEY = "feeds:seeded";          // set once env feeds have been imported
+const HEALTH_HASH = "feeds:health";         // feed id -> health JSON (see feed_fetcher.js)
+const HTTP_CACHE_HASH = "feeds:http_cache"; // feed id -> { etag, last_modified } for conditional GETs
+
+export const FEED_TYPES = ["rss", "atom", "youtube", "newsletter"];
+
+/**
+ * Filter profiles a feed can pick. Each collector maps them to its filter chain:
+ * - standard:    shared filters (press release, blocked domain, international) + client filters
+ * - shared:      shared filters only
+ * - ai_keywords: shared filters + AI keyword requirement (newsletters)
+ * - none:        store everything
+ */
+export const FILTER_PROFILES = ["standard", "shared", "ai_keywords", "none"];
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function titleCase(slug) {
+  return (slug || "").replace(/_/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function feedId(url, origin) {
+  return `feed_${hashString(`${origin}|${url}`)}`;
+}
+
+function guessType(url) {
+  return /youtube\.com\/feeds\//i.test(url) ? "youtube" : "rss";
+}
+
+/**
+ * Validate and normalise a feed definition
+ * @param {Object} input - Fields from the API or env seed
+ * @param {Object} [existing] - Stored feed when updating
+ * @returns {{feed?:Object, error?:string}}
+ */
+export function validateFeed(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const url = (merged.url || "").trim();
+  try { new URL(url); } catch { return { error: "url must be an absolute URL" }; }
+
+  const origin = (merged.origin || merged.client || "").toString().toLowerCase().trim();
+  if (!/^[a-z0-9_]+$/.test(origin)) return { error: "origin must be a slug (a-z, 0-9, _)" };
+
+  const type = (merged.type || guessType(url)).toLowerCase();
+  if (!FEED_TYPES.includes(type)) return { error: `type must be one of: ${FEED_TYPES.join(", ")}` };
+
+  const filter_profile = (merged.filter_profile || (type === "newsletter" ? "ai_keywords" : "standard")).toLowerCase();
+  if (!FILTER_PROFILES.includes(filter_profile)) return { error: `filter_profile must be one of: ${FILTER_PROFILES.join(", ")}` };
+
+  const interval = Number(merged.interval_minutes ?? DEFAULT_INTERVAL_MINUTES);
+  if (!Number.isFinite(interval) || interval < 0) return { error: "interval_minutes must be a non-negative number" };
+
+  const now = new Date().toISOString();
+  const feed = {
+    id: existing?.id || feedId(url, origin),
+    url,
+    origin,
+    client: merged.client ? merged.client.toString().toLowerCase().trim() : null,
+    section: (merged.section || titleCase(origin)).toString(),
+    type,
+    enabled: merged.enabled !== false && merged.enabled !== "false",
+    interval_minutes: interval,
+    filter_profile,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  return { feed };
+}
+
+// Import the legacy env-var feeds once
+async function seedFromEnv(redis) {
+  const first = await redis.set(SEEDED_KEY, new Date().toISOString(), { nx: true });
+  if (!first) return 0;
+
+  const seeds = [];
+  const entityFeeds = {
+    delta_air_lines: process.env.RSS_FEED_DELTA_AIR_LINES,
+    guardant_health: process.env.RSS_FEED_GUARDANT_HEALTH,
+    albemarle: process.env.RSS_FEED_ALBEMARLE,
+    adelanto_healthcare: process.env.RSS_FEED_ADELANTO_HEALTHCARE,
+    carlos_zafarini: process.env.RSS_FEED_CARLOS_ZAFARINI,
+    stubhub: process.env.RSS_FEED_STUBHUB
+  };
+  for (const [entity, url] of Object.entries(entityFeeds)) {
+    if (url && url.trim()) seeds.push({ url: url.trim(), origin: entity, client: entity });
+  }
+
+  const split = s => (s || "").split(/[,;]/).map(x => x.trim()).filter(Boolean);
+  for (const url of split(process.env.RSS_FEEDS)) {
+    seeds.push({ url, origin: "google_alerts", section: "Google Alerts" });
+  }
+  for (const url of split(process.env.NEWSLETTER_RSS_FEEDS)) {
+    seeds.push({ url, origin: "newsletter", section: "Newsletter", type: "newsletter" });
+  }
+  if ((process.env.LAW360_RSS_FEED || "").trim()) {
+    seeds.push({ url: process.env.LAW360_RSS_FEED.trim(), origin: "law360", section: "Law360", filter_profile: "none" });
+  }
+
+  let added = 0;
+  for (const s of seeds) {
+    const { feed } = validateFeed(s);
+    if (!feed) continue;
+    await redis.hset(FEEDS_HASH, { [feed.id]: JSON.stringify(feed) });
+    added++;
+  }
+  if (added) console.log(`[Feeds] Seeded registry with ${added} feeds from env vars`);
+  return added;
+}
+
+/**
+ * All registered feeds, optionally filtered
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.types] - Only these feed types
+ * @param {string} [opts.origin] - Only this origin
+ * @param {boolean} [opts.enabledOnly=false]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listFeeds(redis, { types, origin, enabledOnly = false } = {}) {
+  let all = await redis.hgetall(FEEDS_HASH);
+  if (!all || !Object.keys(all).length) {
+    if (await seedFromEnv(redis)) all = await redis.hgetall(FEEDS_HASH);
+  }
+
+  return Object.values(all || {})
+    .map(toObj)
+    .filter(Boolean)
+    .filter(f => !types || types.includes(f.type))
+    .filter(f => !origin || f.origin === origin)
+    .filter(f => !enabledOnly || f.enabled)
+    .sort((a, b) => a.origin.localeCompare(b.origin) || a.url.localeCompare(b.url));
+}
+
+export async function getFeed(redis, id) {
+  return toObj(await redis.hget(FEEDS_HASH, id));
+}
+
+export async function saveFeed(redis, feed) {
+  await redis.hset(FEEDS_HASH, { [feed.id]: JSON.stringify(feed) });
+  return feed;
+}
+
+export async function deleteFeed(redis, id) {
+  await redis.hdel(FETCH_HASH, id);
+  await redis.hdel(HEALTH_HASH, id);
+  await redis.hdel(HTTP_CACHE_HASH, id);
+  return (await redis.hdel(FEEDS_HASH, id)) > 0;
+}
+
+/**
+ * Enabled feeds whose fetch interval has elapsed (all enabled feeds when force is set)
+ * @param {Redis} redis
+ * @param {Object} opts - Same filters as listFeeds, plus force
+ * @returns {Promise<Array<Object>>}
+ */
+export async function dueFeeds(redis, { force = false, ...opts } = {}) {
+  const feeds = await listFeeds(redis, { ...opts, enabledOnly: true });
+  if (force || !feeds.length) return feeds;
+
+  const last = (await redis.hgetall(FETCH_HASH)) || {};
+  const now = Math.floor(Date.now() / 1000);
+  // A minute of slack so an hourly cron isn't skipped for running a few seconds early
+  return feeds.filter(f => now - Number(last[f.id] || 0) >= f.interval_minutes * 60 - 60);
+}
+
+// Record a fetch for one feed or a list of feeds in a single write
+export async function markFetched(redis, feeds) {
+  const list = Array.isArray(feeds) ? feeds : [feeds];
+  if (!list.length) return;
+  const now = Math.floor(Date.now() / 1000);
+  await redis.hset(FETCH_HASH, Object.fromEntries(list.map(f => [f.id, now])));
+}
+
+/**
+ * Stored fetch state of every feed
+ * @returns {Promise<{health:Object, cache:Object}>} - feed id -> health record / HTTP validators
+ */
+export async function getFetchState(redis) {
+  const [health, cache] = await Promise.all([redis.hgetall(HEALTH_HASH), redis.hgetall(HTTP_CACHE_HASH)]);
+  const parse = (all) => Object.fromEntries(Object.entries(all || {}).map(([id, v]) => [id, toObj(v)]));
+  return { health: parse(health), cache: parse(cache) };
+}
+
+/**
+ * Persist health records and HTTP validators for the feeds of one run in a single write
+ * @param {Redis} redis
+ * @param {Object} health - feed id -> health record
+ * @param {Object} cache - feed id -> { etag, last_modified }
+ */
+export async function saveFetchState(redis, health, cache) {
+  if (!Object.keys(health).length && !Object.keys(cache).length) return;
+  const p = redis.pipeline();
+  const ser = (o) => Object.fromEntries(Object.entries(o).map(([id, v]) => [id, JSON.stringify(v)]));
+  if (Object.keys(health).length) p.hset(HEALTH_HASH, ser(health));
+  if (Object.keys(cache).length) p.hset(HTTP_CACHE_HASH, ser(cache));
+  await p.exec();
+}
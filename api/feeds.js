@@ -0,0 +1,78 @@
+// /api/feeds.js
+// CRUD for the feed registry (see feed_registry.js)
+//
+// GET    /api/feeds[?type=rss&origin=stubhub]   list feeds
+// GET    /api/feeds?id=feed_xxx                 one feed
+// POST   /api/feeds                             create { url, origin, client, section, type, enabled, interval_minutes, filter_profile }
+// PUT    /api/feeds?id=feed_xxx                 update (partial body allowed)
+// DELETE /api/feeds?id=feed_xxx                 remove
+//
+// Writes require ADMIN_TOKEN via x-admin-token header or ?token=
+import { Redis } from "@upstash/redis";
+import { listFeeds, getFeed, saveFeed, deleteFeed, validateFeed, FEED_TYPES, FILTER_PROFILES } from "./feed_registry.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const id = (url.searchParams.get("id") || "").trim();
+
+    if (req.method === "GET") {
+      if (id) {
+        const feed = await getFeed(redis, id);
+        if (!feed) return res.status(404).json({ ok: false, error: "feed not found" });
+        return res.status(200).json({ ok: true, feed });
+      }
+      const type = (url.searchParams.get("type") || "").toLowerCase().trim();
+      const origin = (url.searchParams.get("origin") || "").toLowerCase().trim();
+      const feeds = await listFeeds(redis, { types: type ? [type] : undefined, origin: origin || undefined });
+      return res.status(200).json({ ok: true, count: feeds.length, types: FEED_TYPES, filter_profiles: FILTER_PROFILES, feeds });
+    }
+
+    const token = req.headers["x-admin-token"] || url.searchParams.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    if (req.method === "POST") {
+      const { feed, error } = validateFeed(parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      if (await getFeed(redis, feed.id)) {
+        return res.status(409).json({ ok: false, error: "feed already registered", id: feed.id });
+      }
+      await saveFeed(redis, feed);
+      return res.status(201).json({ ok: true, feed });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const existing = id && await getFeed(redis, id);
+      if (!existing) return res.status(404).json({ ok: false, error: "feed not found" });
+      const { feed, error } = validateFeed(parseBody(req), existing);
+      if (error) return res.status(400).json({ ok: false, error });
+      await saveFeed(redis, feed);
+      return res.status(200).json({ ok: true, feed });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ ok: false, error: "id required" });
+      const removed = await deleteFeed(redis, id);
+      if (!removed) return res.status(404).json({ ok: false, error: "feed not found" });
+      return res.status(200).json({ ok: true, removed: id });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    console.error("Feeds API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
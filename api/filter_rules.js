@@ -0,0 +1,207 @@
+// filter_rules.js
+// Declarative filter rules: JSON rules evaluated against a mention, in priority order
+//
+// A rule:
+//   {
+//     id: "delta_route",                 // unique, reported as the reason when it fires
+//     description: "Delta: route news",
+//     scope: "all" | ["delta_air_lines"],  // client/origin slugs the rule applies to
+//     priority: 210,                     // lower runs first
+//     action: "exclude" | "include",     // include = exception that keeps the item
+//     enabled: true,
+//     match: <node>
+//   }
+// A node is a condition or a combinator:
+//   { any: [node, ...] }   { all: [node, ...] }   { none: [node, ...] }
+//   { field, contains: [..] }   case-insensitive substring (case_sensitive: true to keep case)
+//   { field, words: [..] }      whole words / phrases
+//   { field, regex: "..", flags: "i" }
+// Fields: title, summary, text (title + summary), url, source, domain
+//
+// The first matching rule decides. Defaults live in default_filter_rules.js; rules saved
+// in Redis override a default with the same id (enabled: false switches one off).
+
+import { DEFAULT_RULES } from "./default_filter_rules.js";
+import { hostOf, normalizeHost } from "./ingest_pipeline.js";
+
+const RULES_HASH = "filters:rules";   // rule id -> rule JSON
+
+const FIELDS = ["title", "summary", "text", "url", "source", "domain"];
+const ACTIONS = ["exclude", "include"];
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function fieldValue(m, field) {
+  switch (field) {
+    case "title": return m.title || "";
+    case "summary": return m.summary || "";
+    case "text": return `${m.title || ""} ${m.summary || ""}`;
+    case "url": return m.link || "";
+    case "source": return m.source || "";
+    case "domain": return normalizeHost(hostOf(m.link));
+    default: return "";
+  }
+}
+
+// Compiled regexes per condition object
+const compiled = new WeakMap();
+
+function patternsFor(c) {
+  if (!compiled.has(c)) {
+    compiled.set(c, c.words
+      ? c.words.map(w => new RegExp(`\\b${escapeRegex(w)}\\b`, c.case_sensitive ? "" : "i"))
+      : [new RegExp(c.regex, c.flags ?? "i")]);
+  }
+  return compiled.get(c);
+}
+
+function testCondition(c, m) {
+  const value = fieldValue(m, c.field);
+
+  if (c.contains) {
+    if (c.case_sensitive) return c.contains.some(k => value.includes(k));
+    const v = value.toLowerCase();
+    return c.contains.some(k => v.includes(k.toLowerCase()));
+  }
+  if (c.words || c.regex) return patternsFor(c).some(re => re.test(value));
+  return false;
+}
+
+function testNode(node, m) {
+  if (node.any) return node.any.some(n => testNode(n, m));
+  if (node.all) return node.all.every(n => testNode(n, m));
+  if (node.none) return !node.none.some(n => testNode(n, m));
+  return testCondition(node, m);
+}
+
+function inScope(rule, m) {
+  if (!rule.scope || rule.scope === "all") return true;
+  return rule.scope.includes(m.client) || rule.scope.includes(m.origin);
+}
+
+function validateNode(node, path) {
+  if (!node || typeof node !== "object") return `${path} must be an object`;
+  for (const op of ["any", "all", "none"]) {
+    if (op in node) {
+      if (!Array.isArray(node[op]) || !node[op].length) return `${path}.${op} must be a non-empty array`;
+      for (let i = 0; i < node[op].length; i++) {
+        const err = validateNode(node[op][i], `${path}.${op}[${i}]`);
+        if (err) return err;
+      }
+      return null;
+    }
+  }
+  if (!FIELDS.includes(node.field)) return `${path}.field must be one of: ${FIELDS.join(", ")}`;
+  if (node.regex !== undefined) {
+    try { new RegExp(node.regex, node.flags ?? "i"); } catch (e) { return `${path}.regex: ${e.message}`; }
+    return null;
+  }
+  const list = node.contains || node.words;
+  if (!Array.isArray(list) || !list.length || list.some(k => typeof k !== "string" || !k)) {
+    return `${path} needs contains, words or regex`;
+  }
+  return null;
+}
+
+/**
+ * Validate and normalise a rule
+ * @param {Object} input - Rule JSON
+ * @returns {{rule?:Object, error?:string}}
+ */
+export function validateRule(input) {
+  const r = input || {};
+  const id = (r.id || "").toString().trim();
+  if (!/^[a-z0-9_:-]+$/i.test(id)) return { error: "id must be a slug (a-z, 0-9, _, :, -)" };
+
+  const action = (r.action || "exclude").toLowerCase();
+  if (!ACTIONS.includes(action)) return { error: `action must be one of: ${ACTIONS.join(", ")}` };
+
+  const scope = r.scope === undefined || r.scope === "all" ? "all" : r.scope;
+  if (scope !== "all" && (!Array.isArray(scope) || !scope.length)) return { error: "scope must be \"all\" or an array of client slugs" };
+
+  const priority = Number(r.priority ?? 500);
+  if (!Number.isFinite(priority)) return { error: "priority must be a number" };
+
+  const err = validateNode(r.match, "match");
+  if (err) return { error: err };
+
+  return {
+    rule: {
+      id,
+      description: (r.description || "").toString(),
+      scope,
+      priority,
+      action,
+      enabled: r.enabled !== false && r.enabled !== "false",
+      match: r.match,
+      ...(r.created_at ? { created_at: r.created_at } : {})
+    }
+  };
+}
+
+/**
+ * Evaluate rules against a mention
+ * @param {Array<Object>} rules - Sorted by priority (see loadRules)
+ * @param {Object} m - Enriched mention
+ * @returns {{action:string, rule:Object}|null} - The rule that fired, or null when none matched
+ */
+export function evaluateRules(rules, m) {
+  for (const rule of rules) {
+    if (rule.enabled === false || !inScope(rule, m)) continue;
+    if (testNode(rule.match, m)) return { action: rule.action, rule };
+  }
+  return null;
+}
+
+/**
+ * Pipeline filter for a rule set: rejects with "rule <id>" when an exclude rule fires first
+ * @param {Array<Object>} rules
+ * @returns {Function} - (mention) => reason | null
+ */
+export function rulesFilter(rules) {
+  const sorted = sortRules(rules);
+  return function ruleSetFilter(m) {
+    const hit = evaluateRules(sorted, m);
+    return hit?.action === "exclude" ? `rule ${hit.rule.id}` : null;
+  };
+}
+
+export function sortRules(rules) {
+  return [...rules].sort((a, b) => a.priority - b.priority || a.id.localeCompare(b.id));
+}
+
+// ---- storage ----
+
+export async function listCustomRules(redis) {
+  const all = await redis.hgetall(RULES_HASH);
+  return Object.values(all || {}).map(toObj).filter(Boolean);
+}
+
+/**
+ * Default rules with stored rules layered on top, sorted by priority
+ * @param {Redis} redis
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadRules(redis) {
+  const byId = new Map(DEFAULT_RULES.map(r => [r.id, r]));
+  for (const r of await listCustomRules(redis)) byId.set(r.id, r);
+  return sortRules([...byId.values()]);
+}
+
+export async function saveRule(redis, rule) {
+  const stored = { ...rule, created_at: rule.created_at || new Date().toISOString() };
+  await redis.hset(RULES_HASH, { [rule.id]: JSON.stringify(stored) });
+  return stored;
+}
+
+export async function deleteRule(redis, id) {
+  return (await redis.hdel(RULES_HASH, id)) > 0;
+}
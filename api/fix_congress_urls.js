@@ -1,5 +1,6 @@
 // Fix Congress bill URLs to use correct format (senate-resolution not sres-bill, etc.)
 import { Redis } from "@upstash/redis";
+import { upsertMentions, getMention, removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -79,8 +80,9 @@ export default async function handler(req, res) {
             console.log(`  Old URL: ${item.link}`);
             console.log(`  New URL: ${newUrl}`);
 
-            // Remove old entry
-            await redis.zrem(ZSET, rawItem);
+            // The upsert below replaces the stored record by id; only a member written
+            // before mention_store.js tracked it has to be removed first
+            if (!(await getMention(redis, item.id))) await removeMentions(redis, [], [rawItem]);
 
             // Remove old canonical URLs
             const oldCanon = normalizeUrl(item.link);
@@ -91,11 +93,8 @@ export default async function handler(req, res) {
             item.link = newUrl;
             item.canon = normalizeUrl(newUrl);
 
-            // Re-add with new URL
-            await redis.zadd(ZSET, {
-              score: item.published_ts || Math.floor(Date.now() / 1000),
-              member: JSON.stringify(item)
-            });
+            // Same id, so this replaces the member in place
+            await upsertMentions(redis, [item]);
 
             // Add new canonical URL
             await redis.sadd(SEEN_LINK, item.canon);
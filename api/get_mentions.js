@@ -1,6 +1,23 @@
 // /api/get_mentions.js
 // PROPERLY FIXED: Deduplicates and falls back to Redis if API fails
+//
+// ?group=story returns one item per story cluster (story_index.js): the lead mention
+// plus cluster_size and the other outlets in more_sources. limit then counts stories.
+//
+// origin may repeat or be comma-separated (?origin=stubhub,meltwater).
+//
+// Paging: any of from, to, before, after or sort switches the response from a bare array
+// to an envelope { ok, items, total, next_cursor, prev_cursor, ... }.
+// - from / to:      window as ISO date/time or epoch seconds (default: the last 7 days)
+// - sort:           published (default) | reach | relevance (needs q)
+// - before=<cursor> the page after next_cursor; after=<cursor> the page before prev_cursor
+// Newest-first pages (sort=published, no after=) are read straight off mentions:z or the
+// indexes and stop once full; their total is the number of mentions in the window, counted
+// on the zsets (only q, or a section with origins, makes it scan the window). reach/relevance
+// and after= still load and sort the whole window. Stories sort by their newest mention.
 import { Redis } from "@upstash/redis";
+import { groupByStory, storyKeyOf, STORY_WINDOW_SECONDS } from "./story_index.js";
+import { indexesReady, idsInIndexes, loadMentions, scanNewest, countUnionInIndexes } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -130,57 +147,254 @@ function extractKeywords(article) {
   return [...new Set(keywords)];
 }
 
+// Epoch seconds from ISO / "YYYY-MM-DD" or epoch; endOfDay extends a bare date to 23:59:59 UTC
+function parseDate(v, endOfDay = false) {
+  if (!v) return undefined;
+  if (/^\d+$/.test(v)) return Number(v) > 1e12 ? Math.floor(Number(v) / 1000) : Number(v);
+  const t = Date.parse(v);
+  if (!Number.isFinite(t)) return undefined;
+  const s = Math.floor(t / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v) ? s + 86399 : s;
+}
+
+// Crude relevance for sorting a page; /api/search ranks with the full-text index: title hits count most
+function relevanceOf(m, q) {
+  if (!q) return 0;
+  const count = (text) => (text || "").toLowerCase().split(q).length - 1;
+  return count(m.title) * 3 + (m.matched || []).filter(t => t.toLowerCase().includes(q)).length * 2 +
+    count(m.source) + count(m.summary);
+}
+
+// Sort key [primary, published_ts, id], ordered descending; cursors are encoded keys
+function sortKey(row, sort, q) {
+  const primary = sort === "reach" ? Number(row.reach) || 0
+    : sort === "relevance" ? relevanceOf(row, q)
+    : row.published_ts || 0;
+  return [primary, row.published_ts || 0, String(row.id || "")];
+}
+
+function compareKeys(a, b) {
+  if (a[0] !== b[0]) return b[0] - a[0];
+  if (a[1] !== b[1]) return b[1] - a[1];
+  return a[2] < b[2] ? 1 : a[2] > b[2] ? -1 : 0;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Array.isArray(key) && key.length === 3 ? key : null;
+  } catch { return null; }
+}
+
+// Rows that fold together: story clusters, or (ungrouped) identical title+summary
+function groupKeyOf(m, group) {
+  if (group === "story") return storyKeyOf(m);
+  const title = (m.title || "").trim().toLowerCase();
+  const summary = (m.summary || "").trim().toLowerCase();
+  return title && summary ? `${title}|||${summary}` : `id_${m.id}`;
+}
+
+function shape(m) {
+  return {
+    id: m.id,
+    title: m.title || "(untitled)",
+    link: m.link || null,
+    source: m.source || "",
+    section: m.section || "",
+    origin: m.origin || "",
+    client: m.client || null,
+    cluster_id: m.cluster_id || null,
+    seen_via: Array.isArray(m.seen_via) ? m.seen_via : [],
+    matched: Array.isArray(m.matched) ? m.matched : [],
+    published: m.published || (m.published_ts ? new Date(m.published_ts * 1000).toISOString() : null),
+    published_ts: typeof m.published_ts === "number" ? m.published_ts : (m.published ? Math.floor(Date.parse(m.published) / 1000) : 0),
+    summary: m.summary || "",
+    reach: m.reach || 0,
+    sentiment: m.sentiment,
+    sentiment_label: m.sentiment_label || null
+  };
+}
+
+function storyRow({ cluster_id, lead, members }) {
+  return {
+    ...shape(lead),
+    cluster_id,
+    cluster_size: members.length,
+    cluster_origins: [...new Set(members.map(m => m.origin).filter(Boolean))],
+    cluster_clients: [...new Set(members.map(m => m.client).filter(Boolean))],
+    more_sources: members.slice(1).map(m => ({
+      id: m.id,
+      title: m.title || "(untitled)",
+      link: m.link || null,
+      source: m.source || "",
+      origin: m.origin || "",
+      published: shape(m).published
+    }))
+  };
+}
+
+// Newest-first key of a group: its first member in published order
+function headKey(members) {
+  return members.map(m => sortKey(shape(m), "published")).sort(compareKeys)[0];
+}
+
+// Sort key of a story row: ranks by its newest mention
+function rowKey(row, members, sort, q) {
+  const [, published_ts, id] = headKey(members);
+  return sortKey({ ...row, published_ts, id }, sort, q);
+}
+
+/**
+ * One newest-first page: walk the window down from the cursor and stop once limit groups are
+ * open and nothing older can still join them. Groups that already started on an earlier page
+ * (a member above the cursor, up to STORY_WINDOW_SECONDS back) are not repeated.
+ * @returns {Promise<{groups:Array<Array<Object>>, more:boolean}>} - members newest first
+ */
+async function pageNewest({ indexes, from, to, before, limit, keep, group }) {
+  const ahead = (m) => before && compareKeys(sortKey(shape(m), "published"), before) <= 0;
+
+  const shown = new Set();
+  if (before) {
+    const top = Math.min(to, before[1] + STORY_WINDOW_SECONDS);
+    for await (const m of scanNewest(redis, { indexes, from: Math.max(from, before[1]), to: top })) {
+      if (keep(m) && ahead(m)) shown.add(groupKeyOf(m, group));
+    }
+  }
+
+  const groups = new Map();
+  let boundary = null;   // published_ts of the limit-th group's newest member
+  let more = false;
+  const top = before ? Math.min(to, before[1]) : to;
+  for await (const m of scanNewest(redis, { indexes, from, to: top })) {
+    if (ahead(m) || !keep(m)) continue;
+    const ts = shape(m).published_ts;
+    if (boundary !== null && ts < boundary - STORY_WINDOW_SECONDS) { more = true; break; }
+    const key = groupKeyOf(m, group);
+    if (shown.has(key)) continue;
+    if (groups.has(key)) {
+      if (!groups.get(key).some(x => x.id === m.id)) groups.get(key).push(m);
+      continue;
+    }
+    if (boundary !== null && ts < boundary) { more = true; continue; }
+    groups.set(key, [m]);
+    if (groups.size === limit) boundary = ts;
+  }
+
+  const byKey = (a, b) => compareKeys(sortKey(shape(a), "published"), sortKey(shape(b), "published"));
+  const sorted = [...groups.values()].map(g => g.sort(byKey)).sort((a, b) => compareKeys(headKey(a), headKey(b)));
+  return { groups: sorted.slice(0, limit), more: more || sorted.length > limit };
+}
+
+/**
+ * Mentions in the window matching the filters: ZCOUNT on mentions:z or the indexes where they
+ * answer it, otherwise a count of the window's mentions that pass keep
+ * @returns {Promise<number>}
+ */
+async function countWindow({ indexes, from, to, origins, section, q, keep }) {
+  if (!q && !section && !origins.length) return Number(await redis.zcount(ZSET, from, to)) || 0;
+  if (!q && indexes.length && !(section && origins.length)) return countUnionInIndexes(redis, indexes, from, to);
+  let total = 0;
+  for await (const m of scanNewest(redis, { indexes, from, to })) if (keep(m)) total++;
+  return total;
+}
+
 export default async function handler(req, res) {
   try {
     const url = new URL(req.url, "http://localhost");
-    const limit = Math.max(1, Math.min(1000, parseInt(url.searchParams.get("limit") || "300", 10)));
-    const origin = (url.searchParams.get("origin") || "").toLowerCase().trim();
-    const section = (url.searchParams.get("section") || "").trim();
-    const q = (url.searchParams.get("q") || "").toLowerCase().trim();
+    const params = url.searchParams;
+    const limit = Math.max(1, Math.min(1000, parseInt(params.get("limit") || "300", 10)));
+    const origins = [...new Set(params.getAll("origin").flatMap(o => o.split(",")).map(o => o.toLowerCase().trim()).filter(Boolean))];
+    const section = (params.get("section") || "").trim();
+    const q = (params.get("q") || "").toLowerCase().trim();
+    const group = (params.get("group") || "").toLowerCase().trim();
+    const paged = ["from", "to", "before", "after", "sort"].some(p => params.has(p));
+    const sort = ["reach", "relevance"].includes(params.get("sort")) ? params.get("sort") : "published";
+    const before = params.get("before") ? decodeCursor(params.get("before")) : null;
+    const after = params.get("after") ? decodeCursor(params.get("after")) : null;
+    if ((params.get("before") && !before) || (params.get("after") && !after)) {
+      return res.status(400).json({ ok: false, error: "invalid cursor" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const to = Math.min(parseDate(params.get("to"), true) ?? now, now);
+    const from = parseDate(params.get("from")) ?? now - (7 * 24 * 60 * 60); // default: last 7 days
 
-    // 1. Get data from last 7 days from Redis
+    // With origins or a section, read only those indexes (mention_store.js)
+    const indexes = origins.length
+      ? origins.flatMap(o => [{ dimension: "origin", value: o }, { dimension: "client", value: o }])
+      : section ? [{ dimension: "section", value: section }] : [];
+    const useIndexes = indexes.length > 0 && await indexesReady(redis);
+
+    const keep = (m) =>
+      (!origins.length || origins.includes((m.origin || "").toLowerCase()) || origins.includes(m.client)) &&
+      (!section || (m.section || "") === section) &&
+      (!q || (m.title || "").toLowerCase().includes(q) ||
+        (m.source || "").toLowerCase().includes(q) ||
+        (m.matched || []).some(tag => tag.toLowerCase().includes(q)));
+
+    const effectiveSort = sort === "relevance" && !q ? "published" : sort;
+    const windowRange = { from: new Date(from * 1000).toISOString(), to: new Date(to * 1000).toISOString() };
+
+    // Newest first: read only as far down the window as this page needs
+    if (effectiveSort === "published" && !after) {
+      const page = await pageNewest({ indexes: useIndexes ? indexes : [], from, to, before, limit, keep, group });
+      const out = page.groups.map(members => group === "story" ? storyRow(groupByStory(members)[0]) : shape(members[0]));
+      const keyOf = (i) => headKey(page.groups[i]);
+
+      console.log(`Returning ${out.length} ${group === "story" ? "stories" : "items"}${page.more ? " (more)" : ""}`);
+      if (!paged) return res.status(200).json(out);
+
+      const total = await countWindow({ indexes: useIndexes ? indexes : [], from, to, origins, section, q, keep });
+      return res.status(200).json({
+        ok: true,
+        items: out,
+        total,
+        limit,
+        sort: effectiveSort,
+        window: windowRange,
+        next_cursor: page.more && out.length ? encodeCursor(keyOf(out.length - 1)) : null,
+        prev_cursor: before && out.length ? encodeCursor(keyOf(0)) : null
+      });
+    }
+
+    // 1. Get data for the window from Redis
     let redisItems = [];
     try {
-      const now = Math.floor(Date.now() / 1000);
-      const sevenDaysAgo = now - (7 * 24 * 60 * 60); // 7 days in seconds
+      console.log(`Fetching from Redis: ${from} to ${to}`);
 
-      console.log(`Fetching from Redis: ${sevenDaysAgo} to ${now}`);
+      if (useIndexes) {
+        const ids = await idsInIndexes(redis, indexes, from, to);
+        redisItems = await loadMentions(redis, ids);
+        console.log(`Loaded ${redisItems.length} items from ${indexes.map(i => `${i.dimension}:${i.value}`).join(", ")}`);
+      } else {
+        // Use zrange with byScore option to get items in the window
+        const raw = await redis.zrange(ZSET, from, to, { byScore: true });
 
-      // Use zrange with byScore option to get items from last 7 days
-      const raw = await redis.zrange(ZSET, sevenDaysAgo, now, { byScore: true });
+        console.log(`Raw items fetched: ${raw.length}`);
+        console.log(`Raw item type: ${typeof raw[0]}`);
+        console.log(`First raw item sample: ${JSON.stringify(raw[0])?.substring(0, 200)}`);
 
-      console.log(`Raw items fetched: ${raw.length}`);
-      console.log(`Raw item type: ${typeof raw[0]}`);
-      console.log(`First raw item sample: ${JSON.stringify(raw[0])?.substring(0, 200)}`);
-
-      redisItems = raw.map(toObj).filter(Boolean);
-      console.log(`Parsed items: ${redisItems.length}`);
-      console.log(`First parsed item: ${JSON.stringify(redisItems[0])?.substring(0, 200)}`);
+        redisItems = raw.map(toObj).filter(Boolean);
+        console.log(`Parsed items: ${redisItems.length}`);
+        console.log(`First parsed item: ${JSON.stringify(redisItems[0])?.substring(0, 200)}`);
+      }
     } catch (redisError) {
       console.error("Redis fetch error:", redisError);
     }
 
     // 2. Use Redis data only (includes real-time streaming Meltwater data)
     // No API calls needed since webhooks provide real-time data
-    console.log('Using data from last 7 days from Redis');
     let finalItems = redisItems;
 
     // 3. Apply filters
-    if (origin) {
-      finalItems = finalItems.filter(m => (m.origin || "").toLowerCase() === origin);
-    }
-    if (section) {
-      finalItems = finalItems.filter(m => (m.section || "") === section);
-    }
-    if (q) {
-      finalItems = finalItems.filter(m => 
-        (m.title || "").toLowerCase().includes(q) || 
-        (m.source || "").toLowerCase().includes(q) ||
-        (m.matched || []).some(tag => tag.toLowerCase().includes(q))
-      );
-    }
+    finalItems = finalItems.filter(keep);
 
-    // 4. Deduplicate by ID AND by title+summary (keep first occurrence)
+    // 4. Deduplicate by ID; without grouping, also by title+summary (keep the newest, as newest-first pages do)
+    finalItems.sort((a, b) => compareKeys(sortKey(shape(a), "published"), sortKey(shape(b), "published")));
     const seenIds = new Set();
     const seenTitleSummary = new Set();
     finalItems = finalItems.filter(m => {
@@ -188,6 +402,9 @@ export default async function handler(req, res) {
       if (m.id && seenIds.has(m.id)) return false;
       if (m.id) seenIds.add(m.id);
 
+      // Story grouping folds these into one cluster instead
+      if (group === "story") return true;
+
       // Check title+summary deduplication (even if source is different)
       const title = (m.title || '').trim().toLowerCase();
       const summary = (m.summary || '').trim().toLowerCase();
@@ -203,32 +420,52 @@ export default async function handler(req, res) {
       return true;
     });
 
-    // 5. Sort by date (newest first) - fix sort order
-    finalItems.sort((a, b) => {
-      const tsA = a.published_ts || 0;
-      const tsB = b.published_ts || 0;
-      return tsB - tsA;  // Newest first
-    });
+    // 5. Shape: one row per mention, or per story cluster
+    const keys = new Map();
+    let rows;
+    if (group === "story") {
+      rows = groupByStory(finalItems).map(story => {
+        const row = storyRow(story);
+        keys.set(row, rowKey(row, story.members, effectiveSort, q));
+        return row;
+      });
+    } else {
+      rows = finalItems.map(shape);
+      for (const r of rows) keys.set(r, sortKey(r, effectiveSort, q));
+    }
 
-    // 6. Apply limit and clean up response
-    const out = finalItems.slice(0, limit).map(m => ({
-      id: m.id,
-      title: m.title || "(untitled)",
-      link: m.link || null,
-      source: m.source || "",
-      section: m.section || "",
-      origin: m.origin || "",
-      matched: Array.isArray(m.matched) ? m.matched : [],
-      published: m.published || (m.published_ts ? new Date(m.published_ts * 1000).toISOString() : null),
-      published_ts: typeof m.published_ts === "number" ? m.published_ts : (m.published ? Math.floor(Date.parse(m.published) / 1000) : 0),
-      summary: m.summary || "",
-      reach: m.reach || 0,
-      sentiment: m.sentiment,
-      sentiment_label: m.sentiment_label || null
-    }));
+    // 6. Sort (reach or relevance; after= pages newest first too)
+    rows.sort((a, b) => compareKeys(keys.get(a), keys.get(b)));
 
-    console.log(`Returning ${out.length} total items`);
-    res.status(200).json(out);
+    // 7. Page: before= continues after a cursor, after= returns the page just ahead of one
+    let start = 0;
+    let end;
+    if (before) {
+      start = rows.findIndex(r => compareKeys(keys.get(r), before) > 0);
+      if (start < 0) start = rows.length;
+      end = Math.min(rows.length, start + limit);
+    } else if (after) {
+      end = rows.findIndex(r => compareKeys(keys.get(r), after) >= 0);
+      if (end < 0) end = rows.length;
+      start = Math.max(0, end - limit);
+    } else {
+      end = Math.min(rows.length, limit);
+    }
+    const out = rows.slice(start, end);
+
+    console.log(`Returning ${out.length} of ${rows.length} ${group === "story" ? "stories" : "items"}`);
+    if (!paged) return res.status(200).json(out);
+
+    res.status(200).json({
+      ok: true,
+      items: out,
+      total: rows.length,
+      limit,
+      sort: effectiveSort,
+      window: windowRange,
+      next_cursor: end < rows.length && out.length ? encodeCursor(keys.get(out[out.length - 1])) : null,
+      prev_cursor: start > 0 && out.length ? encodeCursor(keys.get(out[0])) : null
+    });
   } catch (e) {
     console.error('Handler error:', e);
     res.status(500).json({ ok: false, error: e?.message || String(e) });
@@ -0,0 +1,389 @@
+// ingest_pipeline.js
+// Shared ingestion pipeline for every collector and webhook
+//
+// normalize -> enrich -> filter chain -> dedupe -> store -> post-store hooks
+// Items are normalized and filtered one by one; the SEEN_* checks and writes are batched.
+// A canonical URL that is already stored is merged into that mention (provenance.js).
+// (filter rejections are written to the audit log, see rejection_log.js)
+//
+// A source only supplies an adapter that maps its raw item to a mention; URL
+// canonicalisation, IDs, sentiment, filtering, SEEN_* bookkeeping, retention
+// and the post-store hooks (event bus, spikes, sentiment buckets, alerts, webhooks) are identical for all.
+
+import { isBlockedDomain, extractDomain } from "./blocked_domains.js";
+import { isInternationalArticle, getBlockReason } from "./international_filter.js";
+import { applySentiment } from "./sentiment_scorer.js";
+import { detectSpikes } from "./spike_detector.js";
+import { aggregateSentiment } from "./sentiment_aggregator.js";
+import { evaluateAlerts } from "./alert_rules.js";
+import { dispatchWebhooks } from "./outbound_webhooks.js";
+import { publishMentionEvents } from "./event_bus.js";
+import { logRejections } from "./rejection_log.js";
+import { assignClusters, indexMentions } from "./story_index.js";
+import { sightingOf, mergeSighting, recordCanons, mergeSightings } from "./provenance.js";
+import { upsertMentions, trimMentions } from "./mention_store.js";
+
+// ---- storage keys ----
+export const ZSET = "mentions:z";
+export const SEEN_ID = "mentions:seen";
+export const SEEN_LINK = "mentions:seen:canon";
+export const RETENTION_DAYS = 14; // Keep articles for 14 days
+
+// ---- helpers ----
+export function normalizeUrl(u) {
+  try {
+    const url = new URL(u);
+    url.hash = "";
+    ["utm_source","utm_medium","utm_campaign","utm_term","utm_content","utm_id",
+     "mc_cid","mc_eid","ref","fbclid","gclid","igshid"].forEach(p => url.searchParams.delete(p));
+    if ([...url.searchParams.keys()].length === 0) url.search = "";
+    url.hostname = url.hostname.toLowerCase();
+    let s = url.toString();
+    if (s.endsWith("/")) s = s.slice(0, -1);
+    return s;
+  } catch {
+    return (u || "").trim();
+  }
+}
+
+export function hostOf(u) { try { return new URL(u).hostname.toLowerCase(); } catch { return ""; } }
+export function normalizeHost(h) { return (h || "").toLowerCase().replace(/^www\./, "").replace(/^amp\./, ""); }
+export function displaySource(link, fallback) { const h = normalizeHost(hostOf(link)); return h || (fallback || ""); }
+
+export function hashString(s) {
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) >>> 0;
+  return h.toString(16);
+}
+
+export function idFromCanonical(c, prefix = "m") { return `${prefix}_${hashString(c)}`; }
+
+// Publication time in epoch seconds; unparseable or future dates fall back to now
+export function toEpoch(d) {
+  const now = Math.floor(Date.now() / 1000);
+  const t = Date.parse(d || "");
+  return Number.isFinite(t) ? Math.min(Math.floor(t / 1000), now) : now;
+}
+
+function unwrapGoogleAlert(u) {
+  try {
+    const url = new URL(u);
+    if (url.hostname.endsWith("google.com") && url.pathname === "/url") {
+      return url.searchParams.get("q") || url.searchParams.get("url") || u;
+    }
+    return u;
+  } catch { return u; }
+}
+function buildYouTubeWatchUrl(s) {
+  s = (s || "").trim();
+  if (/^https?:\/\//i.test(s)) return s;
+  if (/^[A-Za-z0-9_-]{11}$/.test(s)) return `https://www.youtube.com/watch?v=${s}`;
+  return s;
+}
+
+// Link of an rss-parser item, unwrapping Google Alerts redirects and YouTube IDs
+export function extractItemLink(e) {
+  let raw =
+    (e.link && typeof e.link === "object" && e.link.href) ? e.link.href :
+    (Array.isArray(e.link) && e.link[0]?.href)            ? e.link[0].href :
+    (e.links && e.links[0]?.href)                         ? e.links[0].href :
+    (typeof e.link === "string" ? e.link : "") ||
+    (typeof e.id === "string" ? e.id : "");
+
+  raw = unwrapGoogleAlert(raw);
+
+  const ytId =
+    e["yt:videoId"] ||
+    e.videoId ||
+    (typeof e.id === "string" && e.id.startsWith("yt:video:") ? e.id.split("yt:video:")[1] : "");
+
+  if (!/^https?:\/\//i.test(raw) && ytId) raw = buildYouTubeWatchUrl(ytId);
+  else {
+    const h = hostOf(raw);
+    if (h.includes("youtube.com") || h.includes("youtu.be")) raw = buildYouTubeWatchUrl(raw);
+  }
+  return (raw || "").trim();
+}
+
+// Filter out press releases
+export function isPressRelease(title, summary, source) {
+  const text = `${title} ${summary} ${source}`.toLowerCase();
+  const pressReleaseKeywords = [
+    'prnewswire', 'pr newswire', 'business wire', 'businesswire',
+    'pr web', 'prweb', 'globenewswire', 'globe newswire',
+    'accesswire', 'press release', 'news release'
+  ];
+  return pressReleaseKeywords.some(keyword => text.includes(keyword));
+}
+
+// ---- filters ----
+// A filter takes an enriched mention and returns a rejection reason, or null to keep it.
+
+export function pressReleaseFilter(m) {
+  return isPressRelease(m.title, m.summary, m.source) ? "press release" : null;
+}
+
+export function blockedDomainFilter(m) {
+  return isBlockedDomain(m.link) ? `blocked domain: ${extractDomain(m.link)}` : null;
+}
+
+export function internationalFilter(m) {
+  return isInternationalArticle(m.title, m.summary, m.link, m.source)
+    ? getBlockReason(m.title, m.summary, m.link, m.source)
+    : null;
+}
+
+// Meltwater tags documents with a source country; skip anything explicitly non-US
+export function usOnlyFilter(m) {
+  const country = (m.country || '').toLowerCase();
+  return country && country !== 'us' && country !== 'usa' && country !== 'united states' ? `non-US (${m.country})` : null;
+}
+
+export const DEFAULT_FILTERS = [pressReleaseFilter, blockedDomainFilter, internationalFilter];
+
+// AI keywords for the ai_keywords filter profile (newsletters)
+const AI_KEYWORDS = [
+  "artificial intelligence",
+  "generative ai",
+  "ai",
+  "chatgpt",
+  "claude",
+  "microsoft copilot",
+  "copilot",
+  "harvey",
+  "harvey ai",
+  "cocounsel",
+  "lexis+ ai",
+  "westlaw precision ai",
+  "machine learning",
+  "large language model",
+  "llm"
+];
+
+export function matchesAIKeywords(text) {
+  const t = (text || "").toLowerCase();
+  const matched = [];
+
+  for (const keyword of AI_KEYWORDS) {
+    // Use word boundary regex to avoid false positives like "China" matching "ai"
+    // Escape special regex characters in the keyword
+    const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`\\b${escapedKeyword}\\b`, 'i');
+
+    if (regex.test(text)) {
+      matched.push(keyword);
+    }
+  }
+
+  return matched;
+}
+
+// Keep only articles matching an AI keyword in title, content or newsletter name
+export function aiKeywordFilter(m) {
+  const matched = matchesAIKeywords(`${m.title}\n${m.summary}\n${m.provider || m.source}`);
+  return matched.length ? null : "no AI keyword";
+}
+
+/**
+ * Filter chain for a feed's filter profile (see feed_registry.js)
+ * @param {string} profile - standard | shared | ai_keywords | none
+ * @param {Array<Function>} [clientFilters] - Client-specific filters added by the standard profile
+ * @returns {Array<Function>}
+ */
+export function filtersForProfile(profile, clientFilters = []) {
+  switch (profile) {
+    case "none": return [];
+    case "shared": return DEFAULT_FILTERS;
+    case "ai_keywords": return [...DEFAULT_FILTERS, aiKeywordFilter];
+    default: return [...DEFAULT_FILTERS, ...clientFilters];
+  }
+}
+
+// ---- post-store hooks ----
+// Each hook receives (redis, storedMentions) once per run and must not throw.
+
+const POST_STORE_HOOKS = [
+  { name: "events", run: publishMentionEvents },  // first: /api/stream shouldn't wait on alert or webhook delivery
+  { name: "spikes", run: detectSpikes },
+  { name: "sentiment", run: aggregateSentiment },
+  { name: "alerts", run: evaluateAlerts },    // after spikes: rules can require a spiking origin
+  { name: "webhooks", run: dispatchWebhooks }
+];
+
+/**
+ * Run the post-store hooks over mentions stored outside runPipeline (e.g. rescues)
+ * @returns {Promise<Object>} - Hook name -> hook result
+ */
+export async function runPostStoreHooks(redis, mentions) {
+  const results = {};
+  for (const hook of POST_STORE_HOOKS) {
+    results[hook.name] = await hook.run(redis, mentions);
+  }
+  return results;
+}
+
+/**
+ * Store an already enriched mention, honouring the SEEN_* dedupe sets
+ * @returns {Promise<boolean>} - false when its canonical URL was already stored
+ */
+export async function storeMention(redis, m) {
+  const addCanon = await redis.sadd(SEEN_LINK, m.canon);
+  if (addCanon !== 1) return false;
+  await assignClusters(redis, [m]);
+  await redis.sadd(SEEN_ID, m.id);
+  await upsertMentions(redis, [m]);
+  await recordCanons(redis, [m]);
+  await indexMentions(redis, [m]);
+  return true;
+}
+
+// ---- pipeline ----
+
+/**
+ * Run raw items from one source through the shared pipeline
+ * @param {Redis} redis - Upstash client of the calling endpoint
+ * @param {Array} rawItems - Items as the source delivered them
+ * @param {Object} adapter
+ * @param {string} adapter.name - Log tag, e.g. "Law360"
+ * @param {string} [adapter.idPrefix="m"] - Prefix of generated mention IDs
+ * @param {Function} adapter.toMention - (raw) => partial mention ({ title, link, summary, source, section, origin, published, ... }) or null to skip
+ * @param {Array<Function>} [adapter.filters] - Filter chain; defaults to DEFAULT_FILTERS
+ * @param {Function} [adapter.filtersFor] - (raw) => filter chain, when it depends on the item (e.g. per-feed filter profile)
+ * @param {Function} [adapter.feedFor] - (raw) => registry feed the item came from, recorded with rejections
+ * @param {Function} [adapter.admit] - async (mention) => boolean, last gate before storing (e.g. top-N by reach)
+ * @returns {Promise<{processed:number, stored:number, skipped:number, merged:number, mentions:Array, rejected:Array, errors:Array, hooks:Object}>}
+ */
+export async function runPipeline(redis, rawItems, adapter) {
+  const tag = `[${adapter.name}]`;
+  const filters = adapter.filters || DEFAULT_FILTERS;
+  const result = { processed: 0, stored: 0, skipped: 0, merged: 0, mentions: [], rejected: [], errors: [], hooks: {} };
+
+  const candidates = [];
+  const runCanons = new Map(); // canon -> candidate
+
+  for (const raw of rawItems || []) {
+    result.processed++;
+    try {
+      // 1. Normalize
+      const m = adapter.toMention(raw);
+      if (!m) { result.skipped++; continue; }
+
+      // 2. Enrich
+      m.title = (m.title || "").trim() || "(untitled)";
+      m.summary = m.summary || "";
+      m.canon = m.canon || normalizeUrl(m.link || m.title);
+      if (!m.canon) { result.skipped++; continue; }
+      m.id = idFromCanonical(m.canon, adapter.idPrefix);
+      m.published_ts = toEpoch(m.published);
+      m.published = new Date(m.published_ts * 1000).toISOString();
+      m.sentiment_source = (typeof m.sentiment === "number" || m.sentiment_label) ? "provider" : "scored";
+      applySentiment(m);
+      const feed = adapter.feedFor ? adapter.feedFor(raw) : null;
+      m.seen_via = [sightingOf(m, feed)];
+
+      // 3. Filter chain
+      let reason = null;
+      let fired = null;
+      for (const filter of (adapter.filtersFor ? adapter.filtersFor(raw) : filters)) {
+        reason = filter(m);
+        if (reason) { fired = filter; break; }
+      }
+      if (reason) {
+        console.log(`${tag} Skipping "${m.title}": ${reason}`);
+        result.rejected.push({
+          id: m.id,
+          title: m.title,
+          link: m.link,
+          reason,
+          filter: fired.name || "filter",
+          rule: reason.match(/^rule (\S+)/)?.[1] || null, // rule-engine reasons (filter_rules.js)
+          feed: feed ? { id: feed.id, url: feed.url, origin: feed.origin } : null,
+          mention: m
+        });
+        result.skipped++;
+        continue;
+      }
+
+      // 4. Repeats within this run fold into the first sighting; SEEN_* is checked in batch below
+      const first = runCanons.get(m.canon);
+      if (first) {
+        Object.assign(first, mergeSighting(first, m).mention);
+        result.skipped++;
+        continue;
+      }
+      runCanons.set(m.canon, m);
+      candidates.push(m);
+    } catch (err) {
+      console.error(`${tag} Error processing item:`, err);
+      result.errors.push({ error: err?.message || String(err) });
+      result.skipped++;
+    }
+  }
+
+  // 5. Claim canonical URLs in one round trip; SADD is atomic, so concurrent runs can't both store an item
+  let claimed = [];
+  if (candidates.length) {
+    const claim = redis.pipeline();
+    for (const m of candidates) claim.sadd(SEEN_LINK, m.canon);
+    const added = await claim.exec();
+    claimed = candidates.filter((m, i) => added[i] === 1);
+    result.skipped += candidates.length - claimed.length; // Already stored
+
+    // Later sightings of stored mentions add their channel and metadata to them
+    const merged = await mergeSightings(redis, candidates.filter((m, i) => added[i] !== 1));
+    for (const m of merged) console.log(`${tag} Merged sighting into "${m.title}" (seen via ${m.seen_via.map(s => s.origin).join(", ")})`);
+    result.merged = merged.length;
+  }
+
+  const admitted = [];
+  const released = [];
+  for (const m of claimed) {
+    try {
+      if (adapter.admit && !(await adapter.admit(m))) { released.push(m); continue; }
+      admitted.push(m);
+    } catch (err) {
+      console.error(`${tag} Error admitting item:`, err);
+      result.errors.push({ error: err?.message || String(err) });
+      released.push(m);
+    }
+  }
+  // Not storing them after all, so let a later sighting through
+  if (released.length) {
+    await redis.srem(SEEN_LINK, ...released.map(m => m.canon));
+    result.skipped += released.length;
+  }
+
+  // 6. Store; one record per id (mention_store.js)
+  if (admitted.length) {
+    // Story clusters, across origins; other outlets' coverage is kept and grouped, not dropped.
+    // Only stored mentions join, so skipped and released items leave no cluster behind
+    const matches = await assignClusters(redis, admitted);
+    for (const [id, match] of matches) {
+      const m = admitted.find(c => c.id === id);
+      console.log(`${tag} Same story: "${m.title}" joins "${match.title}" from ${match.origin} (${Math.round(match.similarity * 100)}% match)`);
+    }
+
+    await redis.sadd(SEEN_ID, ...admitted.map(m => m.id));
+    await upsertMentions(redis, admitted);
+    await recordCanons(redis, admitted);
+    await indexMentions(redis, admitted);
+    for (const m of admitted) console.log(`${tag} Stored: "${m.title}" from ${m.source}`);
+    result.mentions.push(...admitted);
+    result.stored = admitted.length;
+  }
+
+  if (result.rejected.length) {
+    await logRejections(redis, adapter.name, result.rejected);
+  }
+
+  if (result.stored) {
+    // Trim articles older than RETENTION_DAYS
+    const cutoffTimestamp = Math.floor(Date.now() / 1000) - (RETENTION_DAYS * 24 * 60 * 60);
+    await trimMentions(redis, cutoffTimestamp);
+
+    // 7. Post-store hooks
+    result.hooks = await runPostStoreHooks(redis, result.mentions);
+  }
+
+  return result;
+}
@@ -1,65 +1,16 @@
 // /api/meltwater_collect.js
 // Collects articles from Meltwater API for searchid 27864701 (AI Digest for Lawyers)
 import { Redis } from "@upstash/redis";
+import { runPipeline, DEFAULT_FILTERS, usOnlyFilter } from "./ingest_pipeline.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
   token: process.env.KV2_REST_API_TOKEN,
 });
 
-const ZSET = "mentions:z";
-const SEEN_ID = "mentions:seen";
-const SEEN_LINK = "mentions:seen:canon";
-const RETENTION_DAYS = 14; // Keep articles for 14 days
-
 // Meltwater API configuration
 // Environment variables will be loaded inside handler for better reliability
 
-// Helper functions
-function normalizeUrl(u) {
-  try {
-    const url = new URL(u);
-    url.hash = "";
-    ["utm_source","utm_medium","utm_campaign","utm_term","utm_content","utm_id",
-     "mc_cid","mc_eid","ref","fbclid","gclid","igshid"].forEach(p => url.searchParams.delete(p));
-    if ([...url.searchParams.keys()].length === 0) url.search = "";
-    url.hostname = url.hostname.toLowerCase();
-    let s = url.toString();
-    if (s.endsWith("/")) s = s.slice(0, -1);
-    return s;
-  } catch {
-    return (u || "").trim();
-  }
-}
-
-function hostOf(u) {
-  try {
-    return new URL(u).hostname.toLowerCase();
-  } catch {
-    return "";
-  }
-}
-
-function normalizeHost(h) {
-  return (h || "").toLowerCase().replace(/^www\./, "").replace(/^amp\./, "");
-}
-
-function displaySource(link, fallback) {
-  const h = normalizeHost(hostOf(link));
-  return h || (fallback || "Meltwater");
-}
-
-function idFromCanonical(c) {
-  let h = 0;
-  for (let i = 0; i < c.length; i++) h = (h * 31 + c.charCodeAt(i)) >>> 0;
-  return `mw_api_${h.toString(16)}`;
-}
-
-function toEpoch(d) {
-  const t = Date.parse(d);
-  return Number.isFinite(t) ? Math.floor(t / 1000) : Math.floor(Date.now() / 1000);
-}
-
 function normalizeSentiment(doc) {
   if (typeof doc.sentiment_score === 'number') {
     return doc.sentiment_score;
@@ -71,18 +22,6 @@ function normalizeSentiment(doc) {
   return undefined;
 }
 
-// Filter out press releases
-function isPressRelease(title, summary, source) {
-  const text = `${title} ${summary} ${source}`.toLowerCase();
-  const pressReleaseKeywords = [
-    'prnewswire', 'pr newswire', 'business wire', 'businesswire',
-    'pr web', 'prweb', 'globenewswire', 'globe newswire',
-    'accesswire', 'press release', 'news release'
-  ];
-  return pressReleaseKeywords.some(keyword => text.includes(keyword));
-}
-
-
 export default async function handler(req, res) {
   // Load environment variables inside handler for better reliability
   const MELTWATER_API_KEY = process.env.MELTWATER_API_KEY;
@@ -181,22 +120,11 @@ export default async function handler(req, res) {
 
     console.log(`[Meltwater] Processing ${documents.length} AI articles (sorted by reach)`);
 
-    for (const doc of documents) {
-      try {
-        found++;
-
-        // Filter: Skip non-US articles
-        const country = doc.country || doc.media?.country || doc.source?.country || '';
-        if (country && country.toLowerCase() !== 'us' && country.toLowerCase() !== 'usa' && country.toLowerCase() !== 'united states') {
-          console.log(`[Meltwater] Skipping non-US article from ${country}`);
-          skipped++;
-          continue;
-        }
-
-        // Extract article data from Meltwater v3 API structure
-        const title = doc.content?.title || doc.title || doc.headline || 'Untitled';
-        const link = doc.content?.url || doc.url || doc.link || '#';
-
+    const result = await runPipeline(redis, documents, {
+      name: "Meltwater",
+      idPrefix: "mw_api",
+      filters: [usOnlyFilter, ...DEFAULT_FILTERS],
+      toMention: (doc) => {
         // Extract summary from Meltwater v3 API
         // Based on actual API structure debugging, try all possible summary fields
         let extractedSummary = doc.summary ||
@@ -215,45 +143,14 @@ export default async function handler(req, res) {
           extractedSummary = extractedSummary.replace(/^\.\.\.\s*/, '').replace(/\s*\.\.\.$/, '').trim();
         }
 
-        const source = doc.source?.name || doc.source_name || doc.media?.name || 'Meltwater';
-        const publishedDate = doc.published_date || doc.document?.published_date || doc.date || new Date().toISOString();
-
-        // Filter out press releases
-        if (isPressRelease(title, extractedSummary, source)) {
-          console.log(`[Meltwater] Skipping press release: "${title}" from ${source}`);
-          skipped++;
-          continue;
-        }
-
-        // Deduplicate
-        const canon = normalizeUrl(link);
-        if (!canon) {
-          skipped++;
-          continue;
-        }
-
-        const addCanon = await redis.sadd(SEEN_LINK, canon);
-        if (addCanon !== 1) {
-          skipped++;
-          continue; // Already stored
-        }
-
-        const mid = idFromCanonical(canon);
-        await redis.sadd(SEEN_ID, mid);
-
-        const ts = toEpoch(publishedDate);
-
         const mention = {
-          id: mid,
-          canon,
           section: 'Meltwater',
-          title: title,
-          link: link,
-          source: source,
+          title: doc.content?.title || doc.title || doc.headline || 'Untitled',
+          link: doc.content?.url || doc.url || doc.link || '#',
+          source: doc.source?.name || doc.source_name || doc.media?.name || 'Meltwater',
           summary: extractedSummary,
           origin: 'meltwater',
-          published_ts: ts,
-          published: new Date(ts * 1000).toISOString(),
+          published: doc.published_date || doc.document?.published_date || doc.date || new Date().toISOString(),
           reach: doc.metrics?.reach || doc.metrics?.circulation || 0,
           sentiment: normalizeSentiment(doc),
           sentiment_label: doc.sentiment || null,
@@ -261,25 +158,16 @@ export default async function handler(req, res) {
           received_at: new Date().toISOString()
         };
 
-        await redis.zadd(ZSET, {
-          score: ts,
-          member: JSON.stringify(mention)
-        });
-
-        // Trim articles older than RETENTION_DAYS
-        const cutoffTimestamp = Math.floor(Date.now() / 1000) - (RETENTION_DAYS * 24 * 60 * 60);
-        await redis.zremrangebyscore(ZSET, '-inf', cutoffTimestamp);
-
-        stored++;
-        console.log(`[Meltwater] Stored: "${title}" from ${source}`);
-      } catch (error) {
-        console.error('Error processing Meltwater document:', error, doc);
-        errors.push({
-          document_id: doc.id || 'unknown',
-          error: error?.message || String(error)
-        });
+        const country = doc.country || doc.media?.country || doc.source?.country || '';
+        if (country) mention.country = country;
+        return mention;
       }
-    }
+    });
+
+    found += result.processed;
+    stored += result.stored;
+    skipped += result.skipped;
+    errors.push(...result.errors);
 
     console.log(`Meltwater collection complete: ${found} articles found, ${stored} stored, ${skipped} skipped`);
 
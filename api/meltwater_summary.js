@@ -1,6 +1,7 @@
 // /api/meltwater_summary.js
 // Returns only Meltwater articles with searchid 27864701 (AI Digest for Lawyers)
 import { Redis } from "@upstash/redis";
+import { indexesReady, idsInIndexes, loadMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -24,9 +25,18 @@ export default async function handler(req, res) {
     const weekAgo = now - 7 * 24 * 60 * 60;
     const monthAgo = now - 30 * 24 * 60 * 60;
 
-    // Get all mentions from past month
-    const raw = await redis.zrange(ZSET, monthAgo, now, { byScore: true });
-    const allMentions = raw.map(toObj).filter(Boolean);
+    // Get mentions from past month; only Meltwater's indexes once they're built (mention_store.js)
+    let allMentions;
+    if (await indexesReady(redis)) {
+      const ids = await idsInIndexes(redis, [
+        { dimension: "origin", value: "meltwater" },
+        { dimension: "section", value: "Meltwater" }
+      ], monthAgo, now);
+      allMentions = await loadMentions(redis, ids);
+    } else {
+      const raw = await redis.zrange(ZSET, monthAgo, now, { byScore: true });
+      allMentions = raw.map(toObj).filter(Boolean);
+    }
 
     // Filter for Meltwater origin AND searchid 27864701
     const meltwaterMentions = allMentions.filter(m =>
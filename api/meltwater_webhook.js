@@ -3,6 +3,11 @@
 // ONLY accepts articles from searchid 27864701 (AI Digest for Lawyers)
 // Applies same filters as API collection: AI keywords, press releases, non-US, top 25 by reach
 //
+// POST /api/meltwater_webhook                 Meltwater delivery; authenticated and checked by
+//                                             meltwater_webhook_auth.js (shared secret or HMAC signature,
+//                                             hook_id/company_id allowlists, optional strict search ID)
+// GET  /api/meltwater_webhook?rejected=1      rejected requests with their reasons, newest first (ADMIN_TOKEN)
+//
 // Meltwater webhook payload structure:
 // {
 //   "request": {
@@ -14,8 +19,11 @@
 // }
 
 import { Redis } from "@upstash/redis";
-import { isBlockedDomain, extractDomain } from "./blocked_domains.js";
-import { isInternationalArticle, getBlockReason } from "./international_filter.js";
+import { runPipeline, DEFAULT_FILTERS, usOnlyFilter } from "./ingest_pipeline.js";
+import { rawBodyOf, checkSignature, checkPayload, logRejectedRequest, listRejectedRequests } from "./meltwater_webhook_auth.js";
+
+// The HMAC covers the bytes as sent, so the body is read raw (meltwater_webhook_auth.js)
+export const config = { api: { bodyParser: false } };
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -23,43 +31,11 @@ const redis = new Redis({
 });
 
 const ALLOWED_SEARCH_ID = "27864701"; // AI Digest for Lawyers only
-const ZSET = "mentions:z";
-const SEEN_ID = "mentions:seen";
-const SEEN_LINK = "mentions:seen:canon";
-const RETENTION_DAYS = 14; // Keep articles for 14 days
 const TOP_ARTICLES_LIMIT = 25; // Maximum articles per day
 
 // Daily tracking for top 25 limit
 const DAILY_ARTICLES_KEY = "meltwater:webhook:daily"; // Stores today's articles as sorted set by reach
 
-// Helper functions (copied from meltwater_collect.js for consistency)
-function normalizeUrl(u) {
-  try {
-    const url = new URL(u);
-    url.hash = "";
-    ["utm_source","utm_medium","utm_campaign","utm_term","utm_content","utm_id",
-     "mc_cid","mc_eid","ref","fbclid","gclid","igshid"].forEach(p => url.searchParams.delete(p));
-    if ([...url.searchParams.keys()].length === 0) url.search = "";
-    url.hostname = url.hostname.toLowerCase();
-    let s = url.toString();
-    if (s.endsWith("/")) s = s.slice(0, -1);
-    return s;
-  } catch {
-    return (u || "").trim();
-  }
-}
-
-function idFromCanonical(c) {
-  let h = 0;
-  for (let i = 0; i < c.length; i++) h = (h * 31 + c.charCodeAt(i)) >>> 0;
-  return `mw_webhook_${h.toString(16)}`;
-}
-
-function toEpoch(d) {
-  const t = Date.parse(d);
-  return Number.isFinite(t) ? Math.floor(t / 1000) : Math.floor(Date.now() / 1000);
-}
-
 function normalizeSentiment(doc) {
   if (typeof doc.sentiment_score === 'number') {
     return doc.sentiment_score;
@@ -71,15 +47,51 @@ function normalizeSentiment(doc) {
   return undefined;
 }
 
-// Filter out press releases
-function isPressRelease(title, summary, source) {
-  const text = `${title} ${summary} ${source}`.toLowerCase();
-  const pressReleaseKeywords = [
-    'prnewswire', 'pr newswire', 'business wire', 'businesswire',
-    'pr web', 'prweb', 'globenewswire', 'globe newswire',
-    'accesswire', 'press release', 'news release'
-  ];
-  return pressReleaseKeywords.some(keyword => text.includes(keyword));
+// Filter 1: AI keyword filtering - MUST have "ai" or "artificial intelligence" in title
+function aiTitleFilter(m) {
+  const titleLower = m.title.toLowerCase();
+  return titleLower.includes('ai') || titleLower.includes('artificial intelligence') ? null : "non-AI title";
+}
+
+// Extract article data - trying multiple field names based on Meltwater API variations
+function toMention(doc) {
+  // Extract summary (similar to meltwater_collect.js)
+  let extractedSummary = doc.summary ||
+                        doc.description ||
+                        doc.snippet ||
+                        doc.content?.summary ||
+                        doc.content?.description ||
+                        doc.content?.snippet ||
+                        doc.matched?.hit_sentence ||
+                        doc.content?.opening_text ||
+                        doc.content?.byline ||
+                        doc.document_summary ||
+                        '';
+
+  // Clean up the hit_sentence (remove leading "... " and trailing "...")
+  if (extractedSummary && typeof extractedSummary === 'string') {
+    extractedSummary = extractedSummary.replace(/^\.\.\.\s*/, '').replace(/\s*\.\.\.$/, '').trim();
+  }
+
+  const mention = {
+    section: 'Meltwater',
+    title: doc.content?.title || doc.title || doc.headline || doc.document_title || 'Untitled',
+    link: doc.content?.url || doc.url || doc.link || doc.document_url || '#',
+    source: doc.source?.name || doc.source_name || doc.media?.name || doc.source || 'Meltwater',
+    summary: extractedSummary,
+    origin: 'meltwater_webhook',
+    published: doc.published_date || doc.document?.published_date || doc.date || new Date().toISOString(),
+    // Extract reach/circulation metrics
+    reach: doc.metrics?.reach || doc.metrics?.circulation || doc.source_reach || doc.reach || 0,
+    sentiment: normalizeSentiment(doc),
+    sentiment_label: doc.sentiment || null,
+    searchid: ALLOWED_SEARCH_ID,
+    received_at: new Date().toISOString()
+  };
+
+  const country = doc.country || doc.media?.country || doc.source?.country || doc.source_country || '';
+  if (country) mention.country = country;
+  return mention;
 }
 
 // Get today's date key for daily tracking
@@ -91,16 +103,52 @@ function getTodayKey() {
   return `${DAILY_ARTICLES_KEY}:${year}-${month}-${day}`;
 }
 
+async function reject(req, res, status, reason, payload) {
+  console.log(`[Meltwater Webhook] REJECTED (${status}): ${reason}`);
+  await logRejectedRequest(redis, req, reason, payload);
+  return res.status(status).json({ status: 'rejected', error: reason });
+}
+
 export default async function handler(req, res) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+
+  // Review rejected requests
+  if (req.method === 'GET' && params.get('rejected') === '1') {
+    const token = req.headers['x-admin-token'] || params.get('token');
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: 'bad token' });
+    }
+    try {
+      const limit = Math.max(1, Math.min(500, parseInt(params.get('limit') || '100', 10) || 100));
+      const rejected = await listRejectedRequests(redis, { limit });
+      return res.status(200).json({ ok: true, count: rejected.length, rejected });
+    } catch (error) {
+      console.error('[Meltwater Webhook] Rejected log error:', error);
+      return res.status(500).json({ ok: false, error: error?.message || String(error) });
+    }
+  }
+
   // Only accept POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
+    // Authenticate the raw bytes before parsing or trusting anything in the body
+    const rawBody = await rawBodyOf(req);
+    const authError = checkSignature(req, rawBody);
+    if (authError) return reject(req, res, 401, authError, null);
+
+    let payload = null;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      payload = null;
+    }
+    if (!payload || typeof payload !== 'object') return reject(req, res, 400, 'body is not JSON', null);
+
     // Parse the webhook payload from Meltwater
     // Expected structure: { request: {...}, documents: [...] }
-    const payload = req.body;
 
     console.log('[Meltwater Webhook] Received payload:', {
       hasRequest: !!payload.request,
@@ -110,16 +158,15 @@ export default async function handler(req, res) {
       companyId: payload.request?.company_id
     });
 
-    // Verify this is from the correct search
+    // Verify this is from an allowed hook/company and the correct search
     // The search ID may be in payload.request.inputs
     if (payload.request?.inputs) {
-      const searchInfo = JSON.stringify(payload.request.inputs);
-      console.log('[Meltwater Webhook] Search inputs:', searchInfo);
-
-      // Check if our search ID is referenced
-      if (!searchInfo.includes(ALLOWED_SEARCH_ID)) {
-        console.log(`[Meltwater Webhook] WARNING: Expected search ID ${ALLOWED_SEARCH_ID} not found in inputs`);
-      }
+      console.log('[Meltwater Webhook] Search inputs:', JSON.stringify(payload.request.inputs));
+    }
+    const { reason, warning } = checkPayload(payload, ALLOWED_SEARCH_ID);
+    if (reason) return reject(req, res, 403, reason, payload);
+    if (warning) {
+      console.log(`[Meltwater Webhook] WARNING: ${warning} (set MELTWATER_REJECT_SEARCH_MISMATCH=true to reject)`);
     }
 
     // Extract documents array from payload
@@ -138,131 +185,21 @@ export default async function handler(req, res) {
 
     console.log(`[Meltwater Webhook] Processing ${documents.length} documents`);
 
-    let processed = 0, stored = 0, skipped = 0;
     const todayKey = getTodayKey();
 
-    for (const doc of documents) {
-      try {
-        processed++;
+    // Log the first document structure to understand the format
+    console.log('[Meltwater Webhook] First document keys:', Object.keys(documents[0] || {}));
 
-        // Log the first document structure to understand the format
-        if (processed === 1) {
-          console.log('[Meltwater Webhook] First document keys:', Object.keys(doc));
-        }
-
-        // Extract article data - trying multiple field names based on Meltwater API variations
-        // Title extraction (similar to meltwater_collect.js)
-        const title = doc.content?.title || doc.title || doc.headline || doc.document_title || 'Untitled';
-
-        // URL/Link extraction
-        const link = doc.content?.url || doc.url || doc.link || doc.document_url || '#';
-
-        // Filter 1: AI keyword filtering - MUST have "ai" or "artificial intelligence" in title
-        const titleLower = title.toLowerCase();
-        if (!titleLower.includes('ai') && !titleLower.includes('artificial intelligence')) {
-          console.log(`[Meltwater Webhook] Skipping non-AI article: "${title}"`);
-          skipped++;
-          continue;
-        }
-
-        // Filter 2: Skip non-US articles
-        const country = doc.country || doc.media?.country || doc.source?.country || doc.source_country || '';
-        if (country && country.toLowerCase() !== 'us' && country.toLowerCase() !== 'usa' && country.toLowerCase() !== 'united states') {
-          console.log(`[Meltwater Webhook] Skipping non-US article from ${country}`);
-          skipped++;
-          continue;
-        }
-
-        // Extract summary (similar to meltwater_collect.js)
-        let extractedSummary = doc.summary ||
-                              doc.description ||
-                              doc.snippet ||
-                              doc.content?.summary ||
-                              doc.content?.description ||
-                              doc.content?.snippet ||
-                              doc.matched?.hit_sentence ||
-                              doc.content?.opening_text ||
-                              doc.content?.byline ||
-                              doc.document_summary ||
-                              '';
-
-        // Clean up the hit_sentence (remove leading "... " and trailing "...")
-        if (extractedSummary && typeof extractedSummary === 'string') {
-          extractedSummary = extractedSummary.replace(/^\.\.\.\s*/, '').replace(/\s*\.\.\.$/, '').trim();
-        }
-
-        // Extract source name
-        const source = doc.source?.name || doc.source_name || doc.media?.name || doc.source || 'Meltwater';
-
-        // Extract published date
-        const publishedDate = doc.published_date || doc.document?.published_date || doc.date || new Date().toISOString();
-
-        // Filter 3: Press release filtering
-        if (isPressRelease(title, extractedSummary, source)) {
-          console.log(`[Meltwater Webhook] Skipping press release: "${title}" from ${source}`);
-          skipped++;
-          continue;
-        }
-
-        // Filter 3.5: Block MFA domains
-        if (isBlockedDomain(link)) {
-          console.log(`[Meltwater Webhook] Blocked domain: "${title}" from ${extractDomain(link)}`);
-          skipped++;
-          continue;
-        }
-
-        // Filter 3.6: Block international articles
-        if (isInternationalArticle(title, extractedSummary, link, source)) {
-          console.log(`[Meltwater Webhook] Blocked international: "${title}" - ${getBlockReason(title, extractedSummary, link, source)}`);
-          skipped++;
-          continue;
-        }
-
-        // Filter 4: Deduplicate by canonical URL
-        const canon = normalizeUrl(link);
-        if (!canon) {
-          skipped++;
-          continue;
-        }
-
-        const addCanon = await redis.sadd(SEEN_LINK, canon);
-        if (addCanon !== 1) {
-          console.log(`[Meltwater Webhook] Duplicate URL skipped: ${canon}`);
-          skipped++;
-          continue; // Already stored
-        }
-
-        const mid = idFromCanonical(canon);
-        await redis.sadd(SEEN_ID, mid);
-
-        const ts = toEpoch(publishedDate);
-
-        // Extract reach/circulation metrics
-        const reach = doc.metrics?.reach || doc.metrics?.circulation || doc.source_reach || doc.reach || 0;
-
-        // Create mention object
-        const mention = {
-          id: mid,
-          canon,
-          section: 'Meltwater',
-          title: title,
-          link: link,
-          source: source,
-          summary: extractedSummary,
-          origin: 'meltwater_webhook',
-          published_ts: ts,
-          published: new Date(ts * 1000).toISOString(),
-          reach: reach,
-          sentiment: normalizeSentiment(doc),
-          sentiment_label: doc.sentiment || null,
-          searchid: ALLOWED_SEARCH_ID,
-          received_at: new Date().toISOString()
-        };
-
-        // Filter 5: Top 25 by reach per day
+    const { processed, stored, skipped, hooks } = await runPipeline(redis, documents, {
+      name: "Meltwater Webhook",
+      idPrefix: "mw_webhook",
+      filters: [aiTitleFilter, usOnlyFilter, ...DEFAULT_FILTERS],
+      toMention,
+      // Filter 5: Top 25 by reach per day
+      admit: async (mention) => {
         // Add to today's sorted set (sorted by reach, descending)
         await redis.zadd(todayKey, {
-          score: reach,
+          score: mention.reach,
           member: JSON.stringify(mention)
         });
 
@@ -274,7 +211,6 @@ export default async function handler(req, res) {
 
         // If we have more than TOP_ARTICLES_LIMIT, remove the lowest reach articles
         if (todayCount > TOP_ARTICLES_LIMIT) {
-          // Remove articles with lowest reach (keep top 25)
           const toRemove = todayCount - TOP_ARTICLES_LIMIT;
           await redis.zpopmin(todayKey, toRemove);
           console.log(`[Meltwater Webhook] Removed ${toRemove} low-reach articles to maintain top ${TOP_ARTICLES_LIMIT} limit`);
@@ -282,44 +218,21 @@ export default async function handler(req, res) {
 
         // Check if this article made it into the top 25
         const allArticles = await redis.zrange(todayKey, 0, -1);
-
-        // If this article is still in the set, add it to the main mentions set
         const isInTopArticles = allArticles.some(a => {
           try {
-            const parsed = JSON.parse(a);
-            return parsed.id === mid;
+            const parsed = typeof a === 'object' ? a : JSON.parse(a);
+            return parsed.id === mention.id;
           } catch {
             return false;
           }
         });
 
-        if (isInTopArticles) {
-          // Store in main mentions set
-          await redis.zadd(ZSET, {
-            score: ts,
-            member: JSON.stringify(mention)
-          });
-
-          // Trim articles older than RETENTION_DAYS
-          const cutoffTimestamp = Math.floor(Date.now() / 1000) - (RETENTION_DAYS * 24 * 60 * 60);
-          await redis.zremrangebyscore(ZSET, '-inf', cutoffTimestamp);
-
-          stored++;
-          console.log(`[Meltwater Webhook] Stored (${stored}/${TOP_ARTICLES_LIMIT}): "${title}" from ${source} (reach: ${reach})`);
-        } else {
-          console.log(`[Meltwater Webhook] Article excluded (not in top ${TOP_ARTICLES_LIMIT} by reach): "${title}" (reach: ${reach})`);
-          skipped++;
-
-          // Remove from deduplication sets since we're not storing it
-          await redis.srem(SEEN_LINK, canon);
-          await redis.srem(SEEN_ID, mid);
+        if (!isInTopArticles) {
+          console.log(`[Meltwater Webhook] Article excluded (not in top ${TOP_ARTICLES_LIMIT} by reach): "${mention.title}" (reach: ${mention.reach})`);
         }
-
-      } catch (error) {
-        console.error('[Meltwater Webhook] Error processing document:', error);
-        skipped++;
+        return isInTopArticles;
       }
-    }
+    });
 
     console.log(`[Meltwater Webhook] Complete: ${processed} processed, ${stored} stored, ${skipped} skipped`);
 
@@ -329,6 +242,7 @@ export default async function handler(req, res) {
       processed,
       stored,
       skipped,
+      spikes: hooks.spikes?.length || 0,
       search_id: ALLOWED_SEARCH_ID,
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,133 @@
+// meltwater_webhook_auth.js
+// Authentication and payload checks for /api/meltwater_webhook, plus a log of rejected requests
+//
+// Configured by environment:
+//   MELTWATER_WEBHOOK_SECRET         required shared secret. A request must carry either
+//                                      - the secret itself in the x-webhook-secret header, or
+//                                      - x-webhook-signature: sha256=<hex HMAC-SHA256 of the raw body keyed with it>
+//                                    While it is unset every request is rejected, unless
+//   MELTWATER_WEBHOOK_AUTH=off       explicitly turns authentication off
+//   MELTWATER_ALLOWED_HOOK_IDS       comma-separated request.hook_id values (check skipped while unset)
+//   MELTWATER_ALLOWED_COMPANY_IDS    comma-separated request.company_id values (check skipped while unset)
+//   MELTWATER_REJECT_SEARCH_MISMATCH "true": reject when request.inputs doesn't reference the search ID
+//                                    (missing inputs included); otherwise a mismatch is only logged
+//
+// The secret is not accepted in the query string: URLs end up in access logs and Referer headers.
+
+import crypto from "crypto";
+
+const REJECTED = "meltwater:webhook:rejected";   // newest-first rejected requests
+const REJECTED_MAX = 500;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function envList(name) {
+  return (process.env[name] || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * The request body exactly as sent. The handler turns Vercel's body parser off
+ * (config.api.bodyParser = false), so the stream is still unread here.
+ * @returns {Promise<string>}
+ */
+export async function rawBodyOf(req) {
+  if (typeof req.body === "string") return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Check the shared secret or signature
+ * @param {Object} req
+ * @param {string} rawBody - Bytes as received (see rawBodyOf)
+ * @returns {string|null} - Rejection reason, or null when authenticated (or MELTWATER_WEBHOOK_AUTH=off)
+ */
+export function checkSignature(req, rawBody) {
+  const secret = (process.env.MELTWATER_WEBHOOK_SECRET || "").trim();
+  if (!secret) {
+    if ((process.env.MELTWATER_WEBHOOK_AUTH || "").trim().toLowerCase() === "off") return null;
+    console.error("[Meltwater Webhook] MELTWATER_WEBHOOK_SECRET is not set: rejecting every request (set MELTWATER_WEBHOOK_AUTH=off to accept unauthenticated posts)");
+    return "webhook secret not configured";
+  }
+
+  const signature = String(req.headers["x-webhook-signature"] || "").trim();
+  if (signature) {
+    const expected = `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+    return safeEqual(signature.toLowerCase(), expected) ? null : "bad signature";
+  }
+
+  const key = String(req.headers["x-webhook-secret"] || "").trim();
+  if (!key) return "missing secret or signature";
+  return safeEqual(key, secret) ? null : "bad secret";
+}
+
+/**
+ * Check the payload's request block against the allowlists and the expected search
+ * @param {Object} payload - Parsed webhook body
+ * @param {string} searchId - Search the webhook is meant to carry
+ * @returns {{reason:string|null, warning:string|null}}
+ */
+export function checkPayload(payload, searchId) {
+  const request = payload?.request || {};
+
+  const hookIds = envList("MELTWATER_ALLOWED_HOOK_IDS");
+  if (hookIds.length && !hookIds.includes(String(request.hook_id ?? ""))) {
+    return { reason: `hook_id not allowed: ${request.hook_id ?? "(missing)"}`, warning: null };
+  }
+  const companyIds = envList("MELTWATER_ALLOWED_COMPANY_IDS");
+  if (companyIds.length && !companyIds.includes(String(request.company_id ?? ""))) {
+    return { reason: `company_id not allowed: ${request.company_id ?? "(missing)"}`, warning: null };
+  }
+
+  const matches = request.inputs != null && JSON.stringify(request.inputs).includes(searchId);
+  if (matches) return { reason: null, warning: null };
+  const problem = request.inputs == null ? "request.inputs missing" : `search ID ${searchId} not in request.inputs`;
+  if (/^(1|true|yes)$/i.test(process.env.MELTWATER_REJECT_SEARCH_MISMATCH || "")) return { reason: problem, warning: null };
+  return { reason: null, warning: problem };
+}
+
+/**
+ * Record a rejected request for review. Never throws.
+ * @param {Redis} redis
+ * @param {Object} req
+ * @param {string} reason
+ * @param {Object|null} payload - Parsed body; null when it was rejected before parsing
+ */
+export async function logRejectedRequest(redis, req, reason, payload) {
+  try {
+    const documents = payload?.documents || payload?.docs || [];
+    const entry = {
+      rejected_at: new Date().toISOString(),
+      reason,
+      ip: String(req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").split(",")[0].trim() || null,
+      user_agent: req.headers["user-agent"] || null,
+      hook_id: payload?.request?.hook_id ?? null,
+      company_id: payload?.request?.company_id ?? null,
+      inputs: payload?.request?.inputs ?? null,
+      document_count: Array.isArray(documents) ? documents.length : 0,
+      titles: (Array.isArray(documents) ? documents : []).slice(0, 5)
+        .map(d => d?.content?.title || d?.title || d?.headline || null).filter(Boolean)
+    };
+    await redis.lpush(REJECTED, JSON.stringify(entry));
+    await redis.ltrim(REJECTED, 0, REJECTED_MAX - 1);
+  } catch (error) {
+    console.error("[Meltwater Webhook] Failed to record rejected request:", error);
+  }
+}
+
+export async function listRejectedRequests(redis, { limit = 100 } = {}) {
+  const raw = await redis.lrange(REJECTED, 0, Math.min(limit, REJECTED_MAX) - 1);
+  return (raw || []).map(toObj).filter(Boolean);
+}
@@ -0,0 +1,490 @@
+// mention_store.js
+// One record per mention id in mentions:z, with atomic update-in-place
+//
+// Readers still get whole JSON mentions from mentions:z, but every write goes
+// through a Lua upsert: MEMBER_HASH holds the member currently stored for each
+// id, so re-ingesting, editing or enriching a mention replaces its member instead
+// of adding a second one next to it.
+//
+// Writes also maintain secondary indexes, so readers that want one origin, client
+// or section don't have to parse the whole zset:
+// - mentions:idx:<origin|client|section>:<value>  zset of mention ids scored like mentions:z
+// - mentions:daily:<YYYY-MM-DD>                    hash of counts (total, origin:x, client:x, section:x)
+//   per America/New_York day, the dashboard's "today"
+// Removals go through removeMentions() so they come out of the indexes too;
+// /api/rebuild_mention_index rebuilds them from mentions:z.
+//
+// The full-text index (search_index.js) is kept in step the same way.
+import { indexForSearch, unindexForSearch } from "./search_index.js";
+import { pruneCanons } from "./provenance.js";
+
+export const ZSET = "mentions:z";
+export const MEMBER_HASH = "mentions:member";   // mention id -> its current mentions:z member
+
+const INDEX_PREFIX = "mentions:idx";
+const INDEX_KEYS = "mentions:idx:keys";         // every index zset, for trims and rebuilds
+const INDEX_READY = "mentions:idx:ready";       // set once rebuildIndex() has backfilled the indexes
+const DAILY_PREFIX = "mentions:daily";
+const SCRATCH_PREFIX = "mentions:tmp";          // transient union results (countUnionInIndexes)
+const DAILY_TTL = 16 * 24 * 3600;               // retention plus a margin
+const DIMENSIONS = ["origin", "client", "section"];
+
+const BATCH = 200; // mentions per EVAL
+
+// KEYS: zset, member hash. ARGV: mode ("upsert" | "update"), then id, score, member triples.
+// "update" only replaces mentions that are still in the zset (something else may have removed them).
+// Returns { inserted, updated, previous } where previous[k] is the replaced member,
+// "" for an insert and "-" for a skipped update.
+const UPSERT_SCRIPT = `
+local inserted, updated, previous = 0, 0, {}
+for i = 2, #ARGV, 3 do
+  local id, score, member = ARGV[i], ARGV[i + 1], ARGV[i + 2]
+  local old = redis.call('HGET', KEYS[2], id)
+  if old and not redis.call('ZSCORE', KEYS[1], old) then old = false end
+  if old or ARGV[1] == 'upsert' then
+    if old and old ~= member then redis.call('ZREM', KEYS[1], old) end
+    redis.call('ZADD', KEYS[1], score, member)
+    redis.call('HSET', KEYS[2], id, member)
+    if old then updated = updated + 1 else inserted = inserted + 1 end
+    table.insert(previous, old or '')
+  else
+    redis.call('HDEL', KEYS[2], id)
+    table.insert(previous, '-')
+  end
+end
+return { inserted, updated, previous }
+`;
+
+// KEYS: zset, member hash. ARGV: ids. Returns the removed members.
+const REMOVE_SCRIPT = `
+local removed = {}
+for i = 1, #ARGV do
+  local old = redis.call('HGET', KEYS[2], ARGV[i])
+  if old then
+    if redis.call('ZREM', KEYS[1], old) == 1 then table.insert(removed, old) end
+    redis.call('HDEL', KEYS[2], ARGV[i])
+  end
+end
+return removed
+`;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function memberOf(x) {
+  return typeof x === "string" ? x : JSON.stringify(x);
+}
+
+function scoreOf(m) {
+  return m.published_ts || Math.floor(Date.now() / 1000);
+}
+
+export function indexKey(dimension, value) {
+  return `${INDEX_PREFIX}:${dimension}:${value}`;
+}
+
+export function dailyKey(day) {
+  return `${DAILY_PREFIX}:${day}`;
+}
+
+// YYYY-MM-DD in America/New_York
+export function dayOf(ts) {
+  return new Date(ts * 1000).toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+}
+
+// Index entries of a mention; mentions without an origin are indexed as "none"
+function entriesOf(m) {
+  const values = { origin: m.origin || "none", client: m.client || null, section: m.section || null };
+  return DIMENSIONS.filter(d => values[d]).map(d => ({ key: indexKey(d, values[d]), field: `${d}:${values[d]}` }));
+}
+
+/**
+ * Bring the indexes and daily counters in line with a set of writes
+ * @param {Redis} redis
+ * @param {Array<{m:Object|null, old:Object|null}>} changes - m null for a removal, old null for an insert
+ */
+async function updateIndexes(redis, changes) {
+  const p = redis.pipeline();
+  const keys = new Set();
+  let queued = 0;
+
+  for (const { m, old } of changes) {
+    const now = m ? entriesOf(m) : [];
+    const before = old ? entriesOf(old) : [];
+
+    for (const e of before) {
+      if (!now.some(n => n.key === e.key)) { p.zrem(e.key, old.id); queued++; }
+    }
+    for (const e of now) {
+      p.zadd(e.key, { score: scoreOf(m), member: m.id });
+      keys.add(e.key);
+      queued++;
+    }
+
+    // Counters move only when the day or a dimension changed
+    const dayBefore = old ? dayOf(scoreOf(old)) : null;
+    const dayNow = m ? dayOf(scoreOf(m)) : null;
+    const fieldsBefore = old ? ["total", ...before.map(e => e.field)] : [];
+    const fieldsNow = m ? ["total", ...now.map(e => e.field)] : [];
+    if (dayBefore === dayNow && fieldsBefore.join() === fieldsNow.join()) continue;
+    for (const f of fieldsBefore) { p.hincrby(dailyKey(dayBefore), f, -1); queued++; }
+    for (const f of fieldsNow) { p.hincrby(dailyKey(dayNow), f, 1); queued++; }
+    if (dayNow) p.expire(dailyKey(dayNow), DAILY_TTL);
+  }
+
+  if (keys.size) p.sadd(INDEX_KEYS, ...keys);
+  if (queued) await p.exec();
+}
+
+async function writeMentions(redis, mentions, mode) {
+  const totals = { inserted: 0, updated: 0 };
+  const list = (mentions || []).filter(m => m?.id);
+  for (let i = 0; i < list.length; i += BATCH) {
+    const chunk = list.slice(i, i + BATCH);
+    const args = [mode];
+    for (const m of chunk) args.push(m.id, String(scoreOf(m)), JSON.stringify(m));
+    const [inserted, updated, previous] = await redis.eval(UPSERT_SCRIPT, [ZSET, MEMBER_HASH], args);
+    totals.inserted += Number(inserted) || 0;
+    totals.updated += Number(updated) || 0;
+
+    const changes = [];
+    chunk.forEach((m, k) => {
+      const prev = (previous || [])[k];
+      if (prev === "-") return;
+      changes.push({ m, old: prev ? toObj(prev) : null });
+    });
+    await updateIndexes(redis, changes);
+    await indexForSearch(redis, changes.map(c => c.m));
+  }
+  return totals;
+}
+
+/**
+ * Store mentions, replacing any record with the same id
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions - Each needs an id; scored by published_ts
+ * @returns {Promise<{inserted:number, updated:number}>}
+ */
+export async function upsertMentions(redis, mentions) {
+  return writeMentions(redis, mentions, "upsert");
+}
+
+/**
+ * Replace mentions that are still stored; ids that are gone are not recreated
+ * @returns {Promise<{inserted:number, updated:number}>}
+ */
+export async function replaceMentions(redis, mentions) {
+  return writeMentions(redis, mentions, "update");
+}
+
+/**
+ * Current record of a mention, or null. A record can outlive its member (earlier
+ * cleanups zrem'd members directly); replaceMentions() won't bring those back.
+ * @param {Redis} redis
+ * @param {string} id
+ */
+export async function getMention(redis, id) {
+  return toObj(await redis.hget(MEMBER_HASH, id));
+}
+
+/**
+ * Current records of several mentions
+ * @returns {Promise<Object>} - id -> mention (missing ids are left out)
+ */
+export async function getMentions(redis, ids) {
+  const out = {};
+  const unique = [...new Set((ids || []).filter(Boolean))];
+  for (let i = 0; i < unique.length; i += 500) {
+    const chunk = unique.slice(i, i + 500);
+    const raw = await redis.hmget(MEMBER_HASH, ...chunk);
+    chunk.forEach((id, k) => {
+      const m = toObj(Array.isArray(raw) ? raw[k] : raw?.[id]);
+      if (m) out[id] = m;
+    });
+  }
+  return out;
+}
+
+/**
+ * Read-modify-write one mention. The write is atomic and keyed by id, so it can
+ * never add a second record; concurrent edits of the same mention are last-writer-wins.
+ * @param {Redis} redis
+ * @param {string} id
+ * @param {Function} fn - (mention) => updated mention, or null to leave it alone
+ * @returns {Promise<Object|null>} - The stored result, or null when the mention isn't stored
+ */
+export async function updateMention(redis, id, fn) {
+  const current = await getMention(redis, id);
+  if (!current) return null;
+  const next = fn({ ...current });
+  if (!next) return current;
+  const { updated } = await replaceMentions(redis, [{ ...next, id }]);
+  return updated ? { ...next, id } : null;
+}
+
+/**
+ * Remove mentions by id. Members stored before MEMBER_HASH existed can be passed as
+ * raw members and are removed directly; callers holding raw members pass them all, and
+ * pass no ids when dropping one copy of a duplicated id.
+ * @param {Redis} redis
+ * @param {Array<string>} ids
+ * @param {Array<string|Object>} [legacyMembers]
+ * @returns {Promise<number>} - Members removed
+ */
+export async function removeMentions(redis, ids, legacyMembers = []) {
+  let removed = 0;
+  const list = [...new Set((ids || []).filter(Boolean))];
+  for (let i = 0; i < list.length; i += BATCH) {
+    const members = await redis.eval(REMOVE_SCRIPT, [ZSET, MEMBER_HASH], list.slice(i, i + BATCH));
+    removed += (members || []).length;
+    await updateIndexes(redis, (members || []).map(x => ({ m: null, old: toObj(x) })).filter(c => c.old));
+  }
+  // Passing every raw member is safe: ones already removed by id zrem to 0. A member
+  // whose id has another current record is a duplicate; that record keeps its entries.
+  const orphaned = [];
+  for (let i = 0; i < legacyMembers.length; i += BATCH) {
+    const batch = legacyMembers.slice(i, i + BATCH).map(memberOf);
+    const p = redis.pipeline();
+    batch.forEach(x => p.zrem(ZSET, x));
+    const results = await p.exec();
+    const gone = batch.filter((x, j) => results[j] === 1);
+    removed += gone.length;
+
+    const olds = gone.map(x => ({ member: x, old: toObj(x) })).filter(g => g.old?.id);
+    if (!olds.length) continue;
+    const current = (await redis.hmget(MEMBER_HASH, ...olds.map(g => g.old.id))) || {};
+    const own = olds.filter(g => !current[g.old.id] || memberOf(current[g.old.id]) === g.member);
+    const records = own.filter(g => current[g.old.id]).map(g => g.old.id);
+    if (records.length) await redis.hdel(MEMBER_HASH, ...records);
+    await updateIndexes(redis, own.map(g => ({ m: null, old: g.old })));
+    orphaned.push(...own.map(g => g.old.id));
+  }
+  await unindexForSearch(redis, [...list, ...orphaned]);
+  return removed;
+}
+
+/**
+ * Drop mentions scored before a cutoff, with their MEMBER_HASH entries and canonical URLs (provenance.js)
+ * @param {Redis} redis
+ * @param {number} cutoff - Epoch seconds
+ * @returns {Promise<number>} - Members removed
+ */
+export async function trimMentions(redis, cutoff) {
+  const old = await redis.zrange(ZSET, "-inf", cutoff, { byScore: true });
+  const ids = [...new Set((old || []).map(toObj).map(m => m?.id).filter(Boolean))];
+  if (ids.length) {
+    for (let i = 0; i < ids.length; i += 1000) await redis.hdel(MEMBER_HASH, ...ids.slice(i, i + 1000));
+    await unindexForSearch(redis, ids);
+  }
+  await pruneCanons(redis, cutoff);
+  // Daily counters expire on their own
+  const keys = (await redis.smembers(INDEX_KEYS)) || [];
+  if (keys.length) {
+    const p = redis.pipeline();
+    for (const key of keys) p.zremrangebyscore(key, "-inf", cutoff);
+    await p.exec();
+  }
+  return redis.zremrangebyscore(ZSET, "-inf", cutoff);
+}
+
+// ---- reads ----
+
+/**
+ * Whether the secondary indexes have been backfilled; readers fall back to scanning mentions:z until then
+ */
+export async function indexesReady(redis) {
+  return !!(await redis.get(INDEX_READY));
+}
+
+/**
+ * Ids in any of the given indexes within a score range
+ * @param {Redis} redis
+ * @param {Array<{dimension:string, value:string}>} indexes - e.g. [{ dimension: "origin", value: "stubhub" }]
+ * @param {number} from - Epoch seconds
+ * @param {number} to - Epoch seconds
+ * @returns {Promise<Array<string>>}
+ */
+export async function idsInIndexes(redis, indexes, from, to) {
+  if (!indexes.length) return [];
+  const p = redis.pipeline();
+  for (const { dimension, value } of indexes) p.zrange(indexKey(dimension, value), from, to, { byScore: true });
+  const results = await p.exec();
+  return [...new Set(results.flat().map(String))];
+}
+
+/**
+ * Distinct mentions in any of the indexes with from <= score <= to, without loading any mention.
+ * Several indexes are unioned into a short-lived scratch zset first, so a mention in two counts once.
+ * @returns {Promise<number>}
+ */
+export async function countUnionInIndexes(redis, indexes, from, to) {
+  if (!indexes.length) return 0;
+  const keys = indexes.map(({ dimension, value }) => indexKey(dimension, value));
+  if (keys.length === 1) return Number(await redis.zcount(keys[0], from, to)) || 0;
+  const scratch = `${SCRATCH_PREFIX}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+  const tx = redis.multi();
+  tx.zunionstore(scratch, keys.length, keys);
+  tx.zcount(scratch, from, to);
+  tx.del(scratch);
+  const [, count] = await tx.exec();
+  return Number(count) || 0;
+}
+
+/**
+ * Mention counts per index for from <= score < to, without loading any mention
+ * @returns {Promise<Array<number>>} - In the order of indexes
+ */
+export async function countInIndexes(redis, indexes, from, to) {
+  if (!indexes.length) return [];
+  const p = redis.pipeline();
+  for (const { dimension, value } of indexes) p.zcount(indexKey(dimension, value), from, `(${to}`);
+  return (await p.exec()).map(n => Number(n) || 0);
+}
+
+/**
+ * Values seen for a dimension (e.g. every origin that has an index)
+ * @returns {Promise<Array<string>>}
+ */
+export async function indexValues(redis, dimension) {
+  const prefix = `${INDEX_PREFIX}:${dimension}:`;
+  return ((await redis.smembers(INDEX_KEYS)) || []).filter(k => k.startsWith(prefix)).map(k => k.slice(prefix.length));
+}
+
+/**
+ * Counters for one America/New_York day
+ * @param {Redis} redis
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<Object>} - { total, "origin:x": n, "client:x": n, "section:x": n }
+ */
+export async function dailyCounts(redis, day) {
+  const raw = (await redis.hgetall(dailyKey(day))) || {};
+  return Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, Number(v) || 0]));
+}
+
+/**
+ * Stored mentions by id, skipping records whose member is gone from mentions:z
+ * @param {Redis} redis
+ * @param {Array<string>} ids
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadMentions(redis, ids) {
+  const found = Object.values(await getMentions(redis, ids));
+  const out = [];
+  for (let i = 0; i < found.length; i += 500) {
+    const chunk = found.slice(i, i + 500);
+    const scores = await redis.zmscore(ZSET, chunk.map(m => JSON.stringify(m)));
+    chunk.forEach((m, k) => { if (scores?.[k] !== null && scores?.[k] !== undefined) out.push(m); });
+  }
+  return out;
+}
+
+/**
+ * Mentions newest first with from <= score <= to, read a chunk at a time so a caller that
+ * stops early (one page) never loads the rest of the window. Without indexes this walks
+ * mentions:z; with them, the index zsets merged by score (an id in several is yielded once).
+ * @param {Redis} redis
+ * @param {Object} opts
+ * @param {Array<{dimension:string, value:string}>} [opts.indexes]
+ * @param {number} opts.from - Epoch seconds
+ * @param {number} opts.to - Epoch seconds
+ * @param {number} [opts.chunk=200]
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* scanNewest(redis, { indexes = [], from, to, chunk = 200 }) {
+  if (to < from) return;
+  if (!indexes.length) {
+    for (let offset = 0; ; offset += chunk) {
+      const raw = (await redis.zrange(ZSET, to, from, { byScore: true, rev: true, offset, count: chunk })) || [];
+      for (const m of raw.map(toObj)) if (m) yield m;
+      if (raw.length < chunk) return;
+    }
+  }
+
+  const cursors = indexes.map(({ dimension, value }) => ({ key: indexKey(dimension, value), offset: 0, buf: [], done: false }));
+  const fill = async (c) => {
+    const raw = (await redis.zrange(c.key, to, from, { byScore: true, rev: true, offset: c.offset, count: chunk, withScores: true })) || [];
+    for (let k = 0; k < raw.length; k += 2) c.buf.push({ id: String(raw[k]), score: Number(raw[k + 1]) });
+    c.offset += raw.length / 2;
+    if (raw.length / 2 < chunk) c.done = true;
+  };
+  const seen = new Set();
+  for (;;) {
+    const batch = [];
+    while (batch.length < chunk) {
+      for (const c of cursors) if (!c.buf.length && !c.done) await fill(c);
+      let best = null;
+      for (const c of cursors) if (c.buf.length && (!best || c.buf[0].score > best.buf[0].score)) best = c;
+      if (!best) break;
+      const { id } = best.buf.shift();
+      if (!seen.has(id)) { seen.add(id); batch.push(id); }
+    }
+    if (!batch.length) return;
+    const byId = new Map((await loadMentions(redis, batch)).map(m => [String(m.id), m]));
+    for (const id of batch) if (byId.has(id)) yield byId.get(id);
+  }
+}
+
+// ---- maintenance ----
+
+/**
+ * Rebuild MEMBER_HASH and the secondary indexes from mentions:z, collapsing duplicate members of one id.
+ * The member with the highest score wins (for a re-added bill, its latest action);
+ * ties go to the later member.
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {boolean} [opts.apply=false] - false only reports what would change
+ * @returns {Promise<{scanned:number, ids:number, duplicates:number, unparseable:number, samples:Array}>}
+ */
+export async function rebuildIndex(redis, { apply = false } = {}) {
+  const raw = await redis.zrange(ZSET, 0, -1, { withScores: true });
+  const best = new Map();
+  const extra = [];
+  let scanned = 0;
+  let unparseable = 0;
+
+  for (let i = 0; i < raw.length; i += 2) {
+    scanned++;
+    const member = memberOf(raw[i]);
+    const score = Number(raw[i + 1]) || 0;
+    const m = toObj(raw[i]);
+    if (!m?.id) { unparseable++; continue; }
+    const prev = best.get(m.id);
+    if (!prev) { best.set(m.id, { member, score, m }); continue; }
+    if (score >= prev.score) { extra.push(prev); best.set(m.id, { member, score, m }); }
+    else extra.push({ member, score, m });
+  }
+
+  if (apply) {
+    for (let i = 0; i < extra.length; i += 500) {
+      await redis.zrem(ZSET, ...extra.slice(i, i + 500).map(x => x.member));
+    }
+    const entries = [...best.entries()];
+    await redis.del(MEMBER_HASH);
+    for (let i = 0; i < entries.length; i += 500) {
+      await redis.hset(MEMBER_HASH, Object.fromEntries(entries.slice(i, i + 500).map(([id, x]) => [id, x.member])));
+    }
+
+    // Secondary indexes and counters from scratch
+    const oldKeys = (await redis.smembers(INDEX_KEYS)) || [];
+    const days = new Set(entries.map(([, x]) => dayOf(scoreOf(x.m))));
+    const stale = [...oldKeys, ...[...days].map(dailyKey), INDEX_KEYS];
+    for (let i = 0; i < stale.length; i += 500) await redis.del(...stale.slice(i, i + 500));
+    for (let i = 0; i < entries.length; i += 500) {
+      await updateIndexes(redis, entries.slice(i, i + 500).map(([, x]) => ({ m: x.m, old: null })));
+      await indexForSearch(redis, entries.slice(i, i + 500).map(([, x]) => x.m));
+    }
+    await redis.set(INDEX_READY, new Date().toISOString());
+    console.log(`[Store] Rebuilt index of ${best.size} mentions, removed ${extra.length} duplicate members`);
+  }
+
+  return {
+    scanned,
+    ids: best.size,
+    duplicates: extra.length,
+    unparseable,
+    samples: extra.slice(0, 20).map(x => ({ id: x.m.id, title: x.m.title, origin: x.m.origin, score: x.score }))
+  };
+}
@@ -1,39 +1,13 @@
 // /api/newsletter_webhook.js
 // Receives filtered newsletter articles from n8n (pre-filtered for AI/legal keywords)
 import { Redis } from "@upstash/redis";
+import { runPipeline, normalizeUrl, hashString, toEpoch } from "./ingest_pipeline.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
   token: process.env.KV2_REST_API_TOKEN,
 });
 
-const ZSET = "mentions:z";
-const SEEN_URL = "mentions:seen:canon";
-
-function normalizeUrl(u){
-  try{
-    const url = new URL(u);
-    url.hash = "";
-    ["utm_source","utm_medium","utm_campaign","utm_term","utm_content","utm_id",
-     "mc_cid","mc_eid","ref","fbclid","gclid","igshid"].forEach(p=>url.searchParams.delete(p));
-    if (![...url.searchParams.keys()].length) url.search = "";
-    url.hostname = url.hostname.toLowerCase();
-    let s = url.toString(); if (s.endsWith("/")) s=s.slice(0,-1);
-    return s;
-  }catch{ return (u||"").trim(); }
-}
-
-function idFromCanonical(canon){
-  let h=0;
-  for (let i=0;i<canon.length;i++) h=(h*31+canon.charCodeAt(i))>>>0;
-  return `newsletter_${h.toString(16)}`;
-}
-
-function toEpoch(d){
-  const t=Date.parse(d||"");
-  return Number.isFinite(t) ? Math.floor(t/1000) : Math.floor(Date.now()/1000);
-}
-
 export default async function handler(req, res){
   try{
     if (req.method !== "POST") return res.status(405).send("Use POST");
@@ -64,29 +38,7 @@ export default async function handler(req, res){
     const ts    = toEpoch(body.published_at || body.isoDate || body.date || body.published);
     const source = body.source || body.newsletter || "Newsletter";
     const matchedKeyword = body.matched_keyword || body.keyword || "";
-
-    // For newsletter articles without individual URLs, generate a unique identifier
-    let link;
-    let canonicalId;
-
-    if (!rawLink || rawLink === "#" || rawLink.trim() === "") {
-      // Generate unique ID based on title + source + timestamp
-      const uniqueStr = `${title}_${source}_${ts}`;
-      let h = 0;
-      for (let i = 0; i < uniqueStr.length; i++) h = (h * 31 + uniqueStr.charCodeAt(i)) >>> 0;
-      canonicalId = `newsletter_${h.toString(16)}`;
-      link = `https://newsletter.internal/${source.toLowerCase().replace(/\s+/g, '-')}/${canonicalId}`;
-    } else {
-      link = normalizeUrl(rawLink);
-      canonicalId = link;
-    }
-
-    // Deduplicate by canonical URL/ID
-    const first = await redis.sadd(SEEN_URL, canonicalId);
-    if (first !== 1) {
-      console.log(`Newsletter webhook: Skipping duplicate - ${title}`);
-      return res.status(200).json({ ok:true, stored:0, note:"duplicate" });
-    }
+    const hasLink = rawLink && rawLink !== "#" && rawLink.trim() !== "";
 
     // Build matched array with the keyword that triggered the filter
     const matched = ["newsletter"];
@@ -94,24 +46,43 @@ export default async function handler(req, res){
       matched.push(matchedKeyword.toLowerCase());
     }
 
-    const mention = {
-      id: idFromCanonical(canonicalId),
-      canon: canonicalId,
-      section: "Newsletter",
-      origin: "newsletter",
-      provider: source,
-      title,
-      link,
-      source,
-      matched,
-      published_ts: ts,
-      published: new Date(ts*1000).toISOString(),
-      summary: body.summary || body.description || "",
-      reach: 0,
-      newsletter_article: !rawLink || rawLink.trim() === "" // Flag to indicate it's a newsletter-only article
-    };
+    // n8n already filtered for AI/legal keywords, so only the shared filters apply
+    const { stored, rejected, mentions } = await runPipeline(redis, [body], {
+      name: "Newsletter",
+      idPrefix: "newsletter",
+      toMention: () => {
+        const m = {
+          section: "Newsletter",
+          origin: "newsletter",
+          provider: source,
+          title,
+          link: normalizeUrl(rawLink),
+          source,
+          matched,
+          published: body.published_at || body.isoDate || body.date || body.published,
+          summary: body.summary || body.description || "",
+          reach: 0,
+          newsletter_article: !hasLink // Flag to indicate it's a newsletter-only article
+        };
+
+        // For newsletter articles without individual URLs, generate a unique identifier
+        if (!hasLink) {
+          // Generate unique ID based on title + source + timestamp
+          m.canon = `newsletter_${hashString(`${title}_${source}_${ts}`)}`;
+          m.link = `https://newsletter.internal/${source.toLowerCase().replace(/\s+/g, '-')}/${m.canon}`;
+        }
+        return m;
+      }
+    });
 
-    await redis.zadd(ZSET, { score: ts, member: JSON.stringify(mention) });
+    if (rejected.length) {
+      return res.status(200).json({ ok:true, stored:0, note: rejected[0].reason });
+    }
+    if (!stored) {
+      console.log(`Newsletter webhook: Skipping duplicate - ${title}`);
+      return res.status(200).json({ ok:true, stored:0, note:"duplicate" });
+    }
+    const { link } = mentions[0];
 
     console.log(`[Newsletter] Stored: "${title}" from ${source} (matched: ${matchedKeyword || 'N/A'})`);
 
@@ -0,0 +1,369 @@
+// outbound_webhooks.js
+// Webhook subscriptions: every stored mention matching a subscription's filters is POSTed to it
+//
+// dispatchWebhooks() runs as an ingest_pipeline.js post-store hook. It only queues: each
+// mention becomes one delivery per matching subscription, due now. No HTTP happens inside
+// an ingestion run, so a slow consumer can't hold up a collector.
+// processDeliveries(), run every minute from cron by /api/webhooks/deliveries?process=1,
+// sends what is due, signed with the subscription's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+//   X-Webhook-Id: <delivery id>   (same id on every attempt, for idempotent consumers)
+// A delivery that fails (network error, timeout, non-2xx) is queued again with exponential
+// backoff. After MAX_ATTEMPTS it is moved to the dead-letter list;
+// POST .../deliveries?id=&action=redeliver sends any delivery again.
+
+import crypto from "crypto";
+import { REDACTED, redactUrl } from "./alert_channels.js";
+
+const SUBS_HASH = "webhooks:subscriptions";   // subscription id -> subscription JSON (with secret)
+const DELIVERY_PREFIX = "webhooks:delivery";  // delivery id -> delivery JSON
+const LOG = "webhooks:log";                   // newest-first delivery ids
+const QUEUE_ZSET = "webhooks:queue:z";        // delivery id scored by next attempt (epoch seconds)
+const DEAD = "webhooks:dead";                 // newest-first dead-lettered delivery ids
+
+const LOG_MAX = 1000;
+const DELIVERY_TTL = 7 * 24 * 3600;
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE = 30;                      // seconds; 30s, 2m, 8m, 32m, ~2h between attempts
+const TIMEOUT_MS = 5000;
+const WORKER_BATCH = 50;
+const WORKER_BUDGET_MS = 40000;               // stop starting attempts after this, well inside the function's maxDuration
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(s => String(s).trim()).filter(Boolean);
+  if (typeof v === "string") return v.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const deliveryKey = (id) => `${DELIVERY_PREFIX}:${id}`;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Validate and normalise a subscription
+ * @param {Object} input - Fields from the API
+ * @param {Object} [existing] - Stored subscription when updating
+ * @returns {{subscription?:Object, error?:string}}
+ */
+export function validateSubscription(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  try {
+    const url = new URL(merged.url);
+    if (!/^https?:$/.test(url.protocol)) throw new Error();
+  } catch { return { error: "url must be an http(s) URL" }; }
+  if (String(merged.url).includes(REDACTED)) return { error: "url is redacted (as listed by GET); send the full URL" };
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: existing?.id || `wh_${crypto.randomBytes(6).toString("hex")}`,
+    name: (merged.name || "").toString().trim() || new URL(merged.url).hostname,
+    url: merged.url,
+    clients: toList(merged.clients).map(s => s.toLowerCase()),
+    origins: toList(merged.origins).map(s => s.toLowerCase()),
+    keywords: toList(merged.keywords),
+    enabled: merged.enabled !== false && merged.enabled !== "false",
+    secret: existing?.secret || newSecret(),
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  return { subscription };
+}
+
+/**
+ * A subscription without its secret, for listing. Hook URLs often work as bearer
+ * credentials (Zapier, n8n, Slack), so the URL is redacted too unless opts.admin.
+ */
+export function publicSubscription(s, { admin = false } = {}) {
+  const { secret, ...rest } = s;
+  return { ...rest, url: admin ? s.url : redactUrl(s.url), secret_hint: `${secret.slice(0, 10)}…` };
+}
+
+/**
+ * A delivery with its target URL redacted unless opts.admin (see publicSubscription)
+ */
+export function publicDelivery(d, { admin = false } = {}) {
+  return admin ? d : { ...d, url: redactUrl(d.url) };
+}
+
+export async function listSubscriptions(redis, { enabledOnly = false } = {}) {
+  const all = await redis.hgetall(SUBS_HASH);
+  return Object.values(all || {})
+    .map(toObj)
+    .filter(Boolean)
+    .filter(s => !enabledOnly || s.enabled)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getSubscription(redis, id) {
+  return toObj(await redis.hget(SUBS_HASH, id));
+}
+
+export async function saveSubscription(redis, subscription) {
+  await redis.hset(SUBS_HASH, { [subscription.id]: JSON.stringify(subscription) });
+  return subscription;
+}
+
+export async function rotateSecret(redis, subscription) {
+  return saveSubscription(redis, { ...subscription, secret: newSecret(), updated_at: new Date().toISOString() });
+}
+
+export async function deleteSubscription(redis, id) {
+  return (await redis.hdel(SUBS_HASH, id)) > 0;
+}
+
+/**
+ * Whether a mention passes a subscription's filters (none set: every mention)
+ */
+export function subscriptionMatches(s, m) {
+  const origin = (m.origin || "").toLowerCase();
+  if (s.clients.length && !s.clients.includes(m.client) && !s.clients.includes(origin)) return false;
+  if (s.origins.length && !s.origins.includes(origin)) return false;
+  if (s.keywords.length) {
+    const text = `${m.title || ""} ${typeof m.summary === "string" ? m.summary : ""}`;
+    if (!s.keywords.some(k => new RegExp(`\\b${escapeRegex(k)}\\b`, "i").test(text))) return false;
+  }
+  return true;
+}
+
+/**
+ * Signature header value for a body
+ * @param {string} secret
+ * @param {string} body - The exact bytes sent
+ * @param {number} [t] - Unix seconds
+ */
+export function signatureFor(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  return `t=${t},v1=${v1}`;
+}
+
+function mentionPayload(m) {
+  return {
+    id: m.id,
+    title: m.title,
+    link: m.link,
+    source: m.source,
+    section: m.section,
+    origin: m.origin,
+    client: m.client || null,
+    published: m.published,
+    published_ts: m.published_ts,
+    summary: typeof m.summary === "string" ? m.summary : (m.summary?.opening_text || ""),
+    reach: m.reach || 0,
+    sentiment: m.sentiment ?? null,
+    sentiment_label: m.sentiment_label || null,
+    cluster_id: m.cluster_id || null
+  };
+}
+
+// ---- delivery ----
+
+async function saveDelivery(redis, d) {
+  await redis.set(deliveryKey(d.id), JSON.stringify(d), { ex: DELIVERY_TTL });
+}
+
+async function createDelivery(redis, subscription, event, data) {
+  const d = {
+    id: `dl_${crypto.randomBytes(8).toString("hex")}`,
+    subscription_id: subscription.id,
+    url: subscription.url,
+    event,
+    payload: { event, created_at: new Date().toISOString(), data },
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: null,
+    last_error: null,
+    last_status: null,
+    created_at: new Date().toISOString(),
+    history: []
+  };
+  await saveDelivery(redis, d);
+  await redis.lpush(LOG, d.id);
+  await redis.ltrim(LOG, 0, LOG_MAX - 1);
+  return d;
+}
+
+/**
+ * Make one attempt; on failure schedule the next one or dead-letter the delivery
+ * @param {Redis} redis
+ * @param {Object} d - Delivery
+ * @param {Object} [opts]
+ * @param {boolean} [opts.retry=true] - false: a failure is final ("failed"), not retried or dead-lettered
+ * @returns {Promise<Object>} - The updated delivery
+ */
+export async function attemptDelivery(redis, d, { retry = true } = {}) {
+  const subscription = await getSubscription(redis, d.subscription_id);
+  const now = Math.floor(Date.now() / 1000);
+  d.attempts++;
+
+  let ok = false;
+  let status = null;
+  let error = null;
+  if (!subscription) {
+    error = "subscription deleted";
+  } else {
+    const body = JSON.stringify({ id: d.id, ...d.payload });
+    try {
+      const r = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mentions-webhooks/1",
+          "X-Webhook-Id": d.id,
+          "X-Webhook-Event": d.event,
+          "X-Webhook-Signature": signatureFor(subscription.secret, body, now)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      status = r.status;
+      ok = r.ok;
+      if (!ok) error = `HTTP ${r.status}`;
+    } catch (e) {
+      error = e?.name === "TimeoutError" ? "timeout" : (e?.message || String(e));
+    }
+  }
+
+  d.last_status = status;
+  d.last_error = error;
+  d.history = [...(d.history || []), { at: new Date(now * 1000).toISOString(), status, error }].slice(-MAX_ATTEMPTS * 2);
+
+  if (ok) {
+    d.status = "delivered";
+    d.delivered_at = new Date(now * 1000).toISOString();
+    d.next_attempt_at = null;
+  } else if (!retry) {
+    d.status = "failed";
+    d.next_attempt_at = null;
+  } else if (subscription && d.attempts < MAX_ATTEMPTS) {
+    const next = now + BACKOFF_BASE * 4 ** (d.attempts - 1);
+    d.status = "retrying";
+    d.next_attempt_at = new Date(next * 1000).toISOString();
+    await redis.zadd(QUEUE_ZSET, { score: next, member: d.id });
+  } else {
+    d.status = "dead";
+    d.next_attempt_at = null;
+    await redis.lpush(DEAD, d.id);
+    await redis.ltrim(DEAD, 0, LOG_MAX - 1);
+    console.error(`[Webhooks] ${d.id} to ${d.url} dead after ${d.attempts} attempt(s): ${error}`);
+  }
+  await saveDelivery(redis, d);
+  return d;
+}
+
+/**
+ * Post-store hook: queue one delivery per mention and matching subscription.
+ * Never throws: webhooks must not fail an ingestion run.
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions - Mentions stored by this run
+ * @returns {Promise<{queued:number}>}
+ */
+export async function dispatchWebhooks(redis, mentions) {
+  const result = { queued: 0 };
+  if (!mentions?.length) return result;
+
+  try {
+    const subscriptions = await listSubscriptions(redis, { enabledOnly: true });
+    if (!subscriptions.length) return result;
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const s of subscriptions) {
+      for (const m of mentions.filter(m => subscriptionMatches(s, m))) {
+        const d = await createDelivery(redis, s, "mention.stored", { mention: mentionPayload(m) });
+        await redis.zadd(QUEUE_ZSET, { score: now, member: d.id });
+        result.queued++;
+      }
+    }
+    if (result.queued) console.log(`[Webhooks] ${result.queued} deliveries queued`);
+  } catch (error) {
+    console.error("[Webhooks] Dispatch failed:", error);
+  }
+  return result;
+}
+
+/**
+ * Attempt the queued deliveries that are due: first attempts and retries
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=50] - Max deliveries per run
+ * @param {number} [opts.budgetMs=40000] - No new attempt starts after this much time
+ * @returns {Promise<{attempted:number, delivered:number, dead:number, remaining:number}>}
+ */
+export async function processDeliveries(redis, { limit = WORKER_BATCH, budgetMs = WORKER_BUDGET_MS } = {}) {
+  const started = Date.now();
+  const now = Math.floor(started / 1000);
+  const ids = await redis.zrange(QUEUE_ZSET, 0, now, { byScore: true, offset: 0, count: limit });
+  const out = { attempted: 0, delivered: 0, dead: 0, remaining: 0 };
+  for (const id of ids || []) {
+    if (Date.now() - started > budgetMs) { out.remaining++; continue; } // left queued for the next run
+    if (!(await redis.zrem(QUEUE_ZSET, id))) continue; // another worker took it
+    const d = await getDelivery(redis, id);
+    if (!d || d.status === "delivered") continue;
+    const done = await attemptDelivery(redis, d);
+    out.attempted++;
+    if (done.status === "delivered") out.delivered++;
+    if (done.status === "dead") out.dead++;
+  }
+  return out;
+}
+
+/**
+ * Send a delivery again with a fresh attempt budget (e.g. after fixing the consumer)
+ * @returns {Promise<Object|null>} - The updated delivery, or null when it has expired
+ */
+export async function redeliver(redis, id) {
+  const d = await getDelivery(redis, id);
+  if (!d) return null;
+  await redis.zrem(QUEUE_ZSET, id);
+  await redis.lrem(DEAD, 0, id);
+  return attemptDelivery(redis, { ...d, attempts: 0, status: "pending", redelivered_at: new Date().toISOString() });
+}
+
+/**
+ * Send a ping event to a subscription (not retried)
+ */
+export async function pingSubscription(redis, subscription) {
+  const d = await createDelivery(redis, subscription, "ping", { message: "Webhook subscription test" });
+  return attemptDelivery(redis, d, { retry: false });
+}
+
+export async function getDelivery(redis, id) {
+  return toObj(await redis.get(deliveryKey(id)));
+}
+
+/**
+ * Recent deliveries, newest first
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {string} [opts.subscriptionId]
+ * @param {string} [opts.status] - pending | delivered | retrying | dead | failed (pings)
+ * @param {boolean} [opts.dead=false] - Read the dead-letter list instead of the log
+ * @param {number} [opts.limit=100]
+ */
+export async function listDeliveries(redis, { subscriptionId, status, dead = false, limit = 100 } = {}) {
+  const ids = await redis.lrange(dead ? DEAD : LOG, 0, LOG_MAX - 1);
+  if (!ids?.length) return [];
+  const out = [];
+  for (let i = 0; i < ids.length && out.length < limit; i += 100) {
+    const raw = await redis.mget(...ids.slice(i, i + 100).map(deliveryKey));
+    for (const d of raw.map(toObj).filter(Boolean)) {
+      if (subscriptionId && d.subscription_id !== subscriptionId) continue;
+      if (status && d.status !== status) continue;
+      out.push(d);
+      if (out.length >= limit) break;
+    }
+  }
+  return out;
+}
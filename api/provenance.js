@@ -0,0 +1,168 @@
+// provenance.js
+// Merges repeated sightings of one canonical URL into the mention already stored
+//
+// The first source to claim a canonical URL stores the mention. Later sightings
+// (Meltwater, Google Alerts, a newsletter, another feed) used to be dropped; now
+// their channel is appended to seen_via and their metadata folded in: the higher
+// reach, provider sentiment over the scorer's guess, and the union of matched tags.
+//
+// CANON_HASH remembers which mention id each canonical URL was stored under (ids
+// carry the first source's prefix); the merged record replaces it via mention_store.js.
+// CANON_ZSET scores the same URLs by the mention's published_ts so trimMentions()
+// can drop them along with the mentions (pruneCanons).
+
+import { getMentions, replaceMentions } from "./mention_store.js";
+
+const CANON_HASH = "mentions:canon";   // canonical URL -> { id, ts }
+const CANON_ZSET = "mentions:canon:z"; // canonical URL scored by ts
+const MAX_SIGHTINGS = 20;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+/**
+ * One channel that surfaced a mention
+ * @param {Object} m - Enriched mention
+ * @param {Object} [feed] - Registry feed it came from
+ * @returns {{origin:string, feed:string|null, source:string, seen_at:string}}
+ */
+export function sightingOf(m, feed) {
+  return {
+    origin: m.origin || "",
+    feed: feed?.id || null,
+    source: m.source || "",
+    seen_at: new Date().toISOString()
+  };
+}
+
+function sightingKey(s) {
+  return `${s.origin}|${s.feed || ""}`;
+}
+
+/**
+ * Fold a later sighting into a stored mention. Pure; returns a new object.
+ * @param {Object} existing - Stored mention
+ * @param {Object} incoming - Later sighting of the same canonical URL
+ * @returns {{mention:Object, changed:boolean}}
+ */
+export function mergeSighting(existing, incoming) {
+  const merged = { ...existing };
+  const via = Array.isArray(existing.seen_via) && existing.seen_via.length
+    ? [...existing.seen_via]
+    : [sightingOf(existing)]; // stored before provenance was tracked
+  const known = new Set(via.map(sightingKey));
+  for (const s of incoming.seen_via || [sightingOf(incoming)]) {
+    if (!known.has(sightingKey(s)) && via.length < MAX_SIGHTINGS) {
+      via.push(s);
+      known.add(sightingKey(s));
+    }
+  }
+  merged.seen_via = via;
+
+  if ((Number(incoming.reach) || 0) > (Number(existing.reach) || 0)) merged.reach = incoming.reach;
+
+  // Sentiment supplied by the source (e.g. Meltwater) beats the lexicon score
+  if (incoming.sentiment_source === "provider" && existing.sentiment_source !== "provider") {
+    merged.sentiment = incoming.sentiment;
+    merged.sentiment_label = incoming.sentiment_label;
+    merged.sentiment_source = "provider";
+  }
+
+  const matched = [...new Set([...(existing.matched || []), ...(incoming.matched || [])])];
+  if (matched.length) merged.matched = matched;
+
+  if (!merged.client && incoming.client) merged.client = incoming.client;
+
+  return { mention: merged, changed: JSON.stringify(merged) !== JSON.stringify(existing) };
+}
+
+/**
+ * Remember where newly stored mentions live so later sightings can find them
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions
+ */
+export async function recordCanons(redis, mentions) {
+  const entries = {};
+  const scored = [];
+  for (const m of mentions || []) {
+    if (!m.canon) continue;
+    entries[m.canon] = JSON.stringify({ id: m.id, ts: m.published_ts });
+    scored.push({ score: Number(m.published_ts) || Math.floor(Date.now() / 1000), member: m.canon });
+  }
+  if (!scored.length) return;
+  const p = redis.pipeline();
+  p.hset(CANON_HASH, entries);
+  p.zadd(CANON_ZSET, ...scored);
+  await p.exec();
+}
+
+/**
+ * Forget canonical URLs whose mention was published before a cutoff (called by trimMentions).
+ * Entries recorded before CANON_ZSET existed are backfilled into it first.
+ * @param {Redis} redis
+ * @param {number} cutoff - Epoch seconds
+ * @returns {Promise<number>} - URLs forgotten
+ */
+export async function pruneCanons(redis, cutoff) {
+  if ((await redis.hlen(CANON_HASH)) > (await redis.zcard(CANON_ZSET))) {
+    let cursor = 0;
+    do {
+      const [next, flat] = await redis.hscan(CANON_HASH, cursor, { count: 1000 });
+      const scored = [];
+      for (let i = 0; i < (flat || []).length; i += 2) {
+        scored.push({ score: Number(toObj(flat[i + 1])?.ts) || 0, member: String(flat[i]) });
+      }
+      if (scored.length) await redis.zadd(CANON_ZSET, { nx: true }, ...scored);
+      cursor = Number(next);
+    } while (cursor);
+  }
+
+  const old = (await redis.zrange(CANON_ZSET, "-inf", cutoff, { byScore: true })) || [];
+  for (let i = 0; i < old.length; i += 1000) {
+    const chunk = old.slice(i, i + 1000).map(String);
+    await redis.hdel(CANON_HASH, ...chunk);
+    await redis.zrem(CANON_ZSET, ...chunk);
+  }
+  return old.length;
+}
+
+/**
+ * Merge later sightings into their stored mentions. Sightings whose canonical URL
+ * predates CANON_HASH, or whose mention has since been trimmed, are skipped.
+ * @param {Redis} redis
+ * @param {Array<Object>} sightings - Enriched mentions whose canonical URL was already claimed
+ * @returns {Promise<Array<Object>>} - The updated stored mentions
+ */
+export async function mergeSightings(redis, sightings) {
+  if (!sightings?.length) return [];
+
+  const canons = [...new Set(sightings.map(m => m.canon))];
+  const located = await redis.hmget(CANON_HASH, ...canons);
+  const where = {};
+  canons.forEach((c, i) => {
+    const v = toObj(Array.isArray(located) ? located[i] : located?.[c]);
+    if (v?.id) where[c] = v;
+  });
+
+  const stored = await getMentions(redis, Object.values(where).map(v => v.id));
+
+  const updated = [];
+  for (const canon of canons) {
+    let current = stored[where[canon]?.id];
+    if (!current) continue;
+
+    let changed = false;
+    for (const s of sightings.filter(m => m.canon === canon)) {
+      const r = mergeSighting(current, s);
+      current = r.mention;
+      changed = changed || r.changed;
+    }
+    if (changed) updated.push(current);
+  }
+
+  if (updated.length) await replaceMentions(redis, updated);
+  return updated;
+}
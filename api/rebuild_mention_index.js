@@ -0,0 +1,44 @@
+// /api/rebuild_mention_index.js
+// Rebuilds mention_store.js's id index over mentions:z and collapses duplicate members
+// (e.g. the copies of HR 3838 congress_collect.js used to add on every run), then
+// rebuilds the origin / client / section indexes and daily counters
+//
+// GET  /api/rebuild_mention_index        dry run: counts and sample duplicates
+// POST /api/rebuild_mention_index        apply (ADMIN_TOKEN via x-admin-token header or ?token=)
+//
+// Run once after deploying the upsert store; later writes keep the indexes current.
+// Readers scan mentions:z until the first apply. Also rerun after old cleanup endpoints
+// that zrem members directly.
+import { Redis } from "@upstash/redis";
+import { rebuildIndex } from "./mention_store.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET") {
+      const report = await rebuildIndex(redis, { apply: false });
+      return res.status(200).json({ ok: true, dry_run: true, ...report });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Use GET for a dry run, POST to apply" });
+    }
+
+    const token = req.headers["x-admin-token"] || url.searchParams.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    const report = await rebuildIndex(redis, { apply: true });
+    res.status(200).json({ ok: true, dry_run: false, ...report });
+  } catch (e) {
+    console.error("Rebuild mention index error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
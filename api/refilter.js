@@ -0,0 +1,181 @@
+// /api/refilter.js
+// Re-run the current filter chain over stored mentions, with a dry-run diff and a confirm step
+//
+// GET  /api/refilter[?days=14 | ?from=2026-10-01&to=2026-10-07][&origin=stubhub]
+//      Dry run: lists what would be removed and why, and returns a plan_id
+// POST /api/refilter?confirm=<plan_id>
+//      Removes exactly the mentions in that plan (requires ADMIN_TOKEN via x-admin-token or ?token=)
+//
+// Each mention gets the chain its source uses today: registry feeds their filter profile
+// (shared filters + filter rules for "standard"), Meltwater the shared filters plus the
+// US-only check, everything else the shared filters. Removed mentions are written to the
+// rejection log, so they can still be rescued from /api/rejections. Mentions already
+// rescued from there (rescued_from) were kept on purpose and are never removed again.
+import { Redis } from "@upstash/redis";
+import { ZSET, RETENTION_DAYS, DEFAULT_FILTERS, usOnlyFilter, filtersForProfile, hashString } from "./ingest_pipeline.js";
+import { listFeeds } from "./feed_registry.js";
+import { listClients, clientRules } from "./client_registry.js";
+import { loadRules, rulesFilter } from "./filter_rules.js";
+import { logRejections, parseDate } from "./rejection_log.js";
+import { removeMentions } from "./mention_store.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+const PLAN_PREFIX = "refilter:plan";
+const PLAN_TTL = 30 * 60; // confirm within 30 minutes of the dry run
+const DIFF_LIMIT = 500;
+
+// Origins written by collectors that aren't registry feeds
+const ORIGIN_FILTERS = {
+  meltwater: [usOnlyFilter, ...DEFAULT_FILTERS],
+  meltwater_webhook: [usOnlyFilter, ...DEFAULT_FILTERS],
+  congress: []
+};
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Filter chain per origin, built once per request
+async function chainBuilder() {
+  const feeds = await listFeeds(redis);
+  const clients = await listClients(redis);
+  const ruleFilter = rulesFilter([...(await loadRules(redis)), ...clientRules(clients)]);
+
+  const profileByOrigin = {};
+  for (const f of feeds) {
+    // An origin with several feeds gets the most permissive profile among them
+    if (!profileByOrigin[f.origin] || f.filter_profile === "none") profileByOrigin[f.origin] = f.filter_profile;
+  }
+
+  return (m) => {
+    if (ORIGIN_FILTERS[m.origin]) return ORIGIN_FILTERS[m.origin];
+    const profile = profileByOrigin[m.origin];
+    return profile ? filtersForProfile(profile, [ruleFilter]) : DEFAULT_FILTERS;
+  };
+}
+
+async function evaluateWindow(from, to, origin) {
+  const chainFor = await chainBuilder();
+  const raw = await redis.zrange(ZSET, from, to, { byScore: true });
+
+  const removals = [];
+  let scanned = 0;
+  for (const member of raw) {
+    const m = toObj(member);
+    if (!m) continue;
+    if (origin && m.origin !== origin && m.client !== origin) continue;
+    scanned++;
+    if (m.rescued_from) continue;
+
+    for (const filter of chainFor(m)) {
+      const reason = filter(m);
+      if (reason) {
+        removals.push({
+          member: typeof member === "string" ? member : JSON.stringify(member),
+          mention: m,
+          reason,
+          filter: filter.name || "filter",
+          rule: reason.match(/^rule (\S+)/)?.[1] || null
+        });
+        break;
+      }
+    }
+  }
+  return { scanned, removals };
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET") {
+      const now = Math.floor(Date.now() / 1000);
+      const days = Math.min(Math.max(parseInt(url.searchParams.get("days") || `${RETENTION_DAYS}`, 10) || RETENTION_DAYS, 1), RETENTION_DAYS);
+      const from = parseDate(url.searchParams.get("from")) ?? now - days * 24 * 3600;
+      const to = parseDate(url.searchParams.get("to"), true) ?? now;
+      const origin = (url.searchParams.get("origin") || "").toLowerCase().trim() || null;
+
+      const { scanned, removals } = await evaluateWindow(from, to, origin);
+
+      const byReason = {};
+      for (const r of removals) {
+        const key = r.rule ? `rule ${r.rule}` : r.reason.split(":")[0];
+        byReason[key] = (byReason[key] || 0) + 1;
+      }
+
+      // The plan pins the exact removals so confirm applies what was reviewed
+      const ids = removals.map(r => r.mention.id).sort();
+      const planId = `${hashString(ids.join(","))}${now.toString(16)}`;
+      if (removals.length) {
+        await redis.set(`${PLAN_PREFIX}:${planId}`, JSON.stringify({ from, to, origin, ids, created_at: new Date().toISOString() }), { ex: PLAN_TTL });
+      }
+
+      return res.status(200).json({
+        ok: true,
+        dry_run: true,
+        window: { from: new Date(from * 1000).toISOString(), to: new Date(to * 1000).toISOString(), origin },
+        scanned,
+        would_remove: removals.length,
+        by_reason: byReason,
+        plan_id: removals.length ? planId : null,
+        expires_in: removals.length ? PLAN_TTL : 0,
+        diff: removals.slice(0, DIFF_LIMIT).map(r => ({
+          id: r.mention.id,
+          title: r.mention.title,
+          link: r.mention.link,
+          source: r.mention.source,
+          origin: r.mention.origin,
+          client: r.mention.client || null,
+          published: r.mention.published,
+          reason: r.reason,
+          rule: r.rule
+        })),
+        diff_truncated: removals.length > DIFF_LIMIT
+      });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Use GET for a dry run, POST ?confirm=<plan_id> to apply" });
+    }
+
+    const token = req.headers["x-admin-token"] || url.searchParams.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    const planId = (url.searchParams.get("confirm") || "").trim();
+    if (!planId) return res.status(400).json({ ok: false, error: "confirm=<plan_id> required (run a GET dry run first)" });
+    const plan = toObj(await redis.get(`${PLAN_PREFIX}:${planId}`));
+    if (!plan) return res.status(404).json({ ok: false, error: "plan not found or expired - run the dry run again" });
+
+    // Re-evaluate so only mentions that still fail the chain are removed
+    const planned = new Set(plan.ids);
+    const { removals } = await evaluateWindow(plan.from, plan.to, plan.origin);
+    const toRemove = removals.filter(r => planned.has(r.mention.id));
+
+    // By id, plus the exact members in case they predate the id index
+    const removed = toRemove.length
+      ? await removeMentions(redis, toRemove.map(r => r.mention.id), toRemove.map(r => r.member))
+      : 0;
+    await logRejections(redis, "Refilter", toRemove);
+    await redis.del(`${PLAN_PREFIX}:${planId}`);
+
+    console.log(`[Refilter] Removed ${removed} of ${plan.ids.length} planned mentions`);
+    res.status(200).json({
+      ok: true,
+      dry_run: false,
+      planned: plan.ids.length,
+      removed,
+      skipped: plan.ids.length - toRemove.length // no longer stored, or now pass the filters
+    });
+  } catch (e) {
+    console.error("Refilter error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,164 @@
+// rejection_log.js
+// Audit log of every item the ingestion pipeline's filter chain rejected
+//
+// Entries go to a capped Redis stream so a wrongly dropped story can be found and
+// rescued from /api/rejections. Streams are append-only, so rescues are tracked
+// in a separate hash keyed by stream entry id.
+
+const STREAM = "rejections:stream";
+const RESCUED_HASH = "rejections:rescued";   // stream entry id -> { mention_id, rescued_at, exception_rule }
+const MAX_ENTRIES = Number(process.env.REJECTIONS_MAX_ENTRIES || 10000);
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+/**
+ * Epoch seconds from "YYYY-MM-DD" or epoch, for the from/to query parameters of
+ * /api/rejections and /api/refilter; endOfDay extends a bare date to 23:59:59 UTC
+ */
+export function parseDate(v, endOfDay = false) {
+  if (!v) return undefined;
+  if (/^\d+$/.test(v)) return Number(v);
+  const t = Date.parse(v);
+  if (!Number.isFinite(t)) return undefined;
+  const s = Math.floor(t / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v) ? s + 86399 : s;
+}
+
+// Stream ids are "<ms>-<seq>"
+function idToMs(id) {
+  return Number(String(id).split("-")[0]) || 0;
+}
+
+// Upstash returns stream ranges as { id: fields } or [[id, [k, v, ...]], ...]
+function entriesOf(raw) {
+  if (!raw) return [];
+  if (Array.isArray(raw)) {
+    return raw.map(([id, kv]) => {
+      const fields = {};
+      for (let i = 0; i < (kv || []).length; i += 2) fields[kv[i]] = kv[i + 1];
+      return [id, fields];
+    });
+  }
+  return Object.entries(raw);
+}
+
+function parseEntry(id, fields) {
+  const str = (v) => (v === undefined || v === null ? "" : String(v));
+  return {
+    id,
+    ts: Math.floor(idToMs(id) / 1000),
+    rejected_at: new Date(idToMs(id)).toISOString(),
+    source: str(fields.source),
+    client: str(fields.client) || null,
+    origin: str(fields.origin),
+    reason: str(fields.reason),
+    filter: str(fields.filter),
+    rule: str(fields.rule) || null,
+    feed: toObj(fields.feed),
+    mention: toObj(fields.mention)
+  };
+}
+
+/**
+ * Append a pipeline run's rejections to the stream in one pipelined write. Never throws.
+ * @param {Redis} redis
+ * @param {string} source - Adapter name, e.g. "RSS"
+ * @param {Array<Object>} rejected - Pipeline result.rejected entries
+ * @returns {Promise<number>} - Entries written
+ */
+export async function logRejections(redis, source, rejected) {
+  if (!rejected?.length) return 0;
+  try {
+    const p = redis.pipeline();
+    for (const r of rejected) {
+      const m = r.mention || {};
+      p.xadd(STREAM, "*", {
+        source,
+        client: m.client || "",
+        origin: m.origin || "",
+        reason: r.reason,
+        filter: r.filter || "",
+        rule: r.rule || "",
+        feed: JSON.stringify(r.feed || null),
+        mention: JSON.stringify(m)
+      }, { trim: { type: "MAXLEN", threshold: MAX_ENTRIES, comparison: "~" } });
+    }
+    await p.exec();
+    return rejected.length;
+  } catch (error) {
+    console.error("[Rejections] Failed to log rejections:", error);
+    return 0;
+  }
+}
+
+// Stream id just below id, for an exclusive XREVRANGE end
+function idBefore(id) {
+  const [ms, seq] = String(id).split("-").map(BigInt);
+  if (seq > 0n) return `${ms}-${seq - 1n}`;
+  return ms > 0n ? `${ms - 1n}-18446744073709551615` : null;
+}
+
+export function isStreamId(v) {
+  return /^\d+-\d+$/.test(String(v || ""));
+}
+
+/**
+ * Browse rejections, newest first. Pages through the stream until limit entries match
+ * the filters or the window is exhausted.
+ * @param {Redis} redis
+ * @param {Object} [opts]
+ * @param {string} [opts.client] - Client slug (matches client or origin)
+ * @param {string} [opts.reason] - Case-insensitive substring of the reason or rule id
+ * @param {number} [opts.from] - Epoch seconds, inclusive
+ * @param {number} [opts.to] - Epoch seconds, inclusive
+ * @param {string} [opts.before] - Stream id; only entries older than it (a previous next_cursor)
+ * @param {number} [opts.limit=100]
+ * @param {number} [opts.page=500] - Stream entries read per round trip
+ * @returns {Promise<{entries:Array<Object>, next_cursor:string|null}>}
+ */
+export async function listRejections(redis, { client, reason, from, to, before, limit = 100, page = 500 } = {}) {
+  const start = from ? `${from * 1000}` : "-";
+  let end = before ? idBefore(before) : to ? `${to * 1000 + 999}` : "+";
+  if (before && to && idToMs(before) > to * 1000 + 999) end = `${to * 1000 + 999}`;
+
+  const needle = (reason || "").toLowerCase();
+  const matches = (e) =>
+    (!client || e.client === client || e.origin === client) &&
+    (!needle || e.reason.toLowerCase().includes(needle) || (e.rule || "").toLowerCase().includes(needle));
+
+  const entries = [];
+  while (end && entries.length < limit) {
+    const batch = entriesOf(await redis.xrevrange(STREAM, end, start, page));
+    for (const [id, fields] of batch) {
+      const e = parseEntry(id, fields);
+      if (matches(e)) entries.push(e);
+      if (entries.length === limit) break;
+    }
+    end = batch.length < page ? null : idBefore(batch[batch.length - 1][0]);
+  }
+
+  if (entries.length) {
+    const rescued = (await redis.hmget(RESCUED_HASH, ...entries.map(e => e.id))) || {};
+    for (const e of entries) e.rescued = toObj(rescued[e.id]);
+  }
+  // A full page may be the last one; the next request then comes back empty
+  const more = entries.length === limit && limit > 0;
+  return { entries, next_cursor: more ? entries[entries.length - 1].id : null };
+}
+
+export async function getRejection(redis, id) {
+  const raw = await redis.xrange(STREAM, id, id, 1);
+  const [entry] = entriesOf(raw);
+  if (!entry) return null;
+  const e = parseEntry(...entry);
+  e.rescued = toObj(await redis.hget(RESCUED_HASH, id));
+  return e;
+}
+
+export async function markRescued(redis, id, info) {
+  await redis.hset(RESCUED_HASH, { [id]: JSON.stringify({ ...info, rescued_at: new Date().toISOString() }) });
+}
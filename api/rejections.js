@@ -0,0 +1,114 @@
+// /api/rejections.js
+// Browse the rejected-article audit log (see rejection_log.js) and rescue wrongly dropped items
+//
+// GET  /api/rejections[?client=stubhub&reason=rule&from=2026-10-01&to=2026-10-07&limit=100]
+//      newest first; returns next_cursor, pass it back as ?before=<cursor> for the next page
+// GET  /api/rejections?id=<stream id>
+// POST /api/rejections?action=rescue&id=<stream id>
+//      body (optional): { "exception": true }              also add an include rule for this title
+//                       { "exception": { "match": {...} } } ...or for a custom condition (filter_rules.js format)
+//
+// Rescue requires ADMIN_TOKEN via x-admin-token header or ?token=. Exception rules only
+// override rule-engine rejections; shared filters (press release, blocked domain,
+// international) still apply to future items.
+import { Redis } from "@upstash/redis";
+import { listRejections, getRejection, markRescued, parseDate, isStreamId } from "./rejection_log.js";
+import { storeMention, runPostStoreHooks } from "./ingest_pipeline.js";
+import { validateRule, saveRule } from "./filter_rules.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+function exceptionRuleFor(entry, exception) {
+  const m = entry.mention;
+  const custom = typeof exception === "object" && exception.match;
+  return validateRule({
+    id: `exception:${m.id}`,
+    description: `Rescued "${m.title}" (was: ${entry.reason})`,
+    scope: [m.client || m.origin],
+    priority: 0, // ahead of every exclude rule
+    action: "include",
+    match: custom ? exception.match : { field: "title", contains: [m.title] }
+  });
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const id = (url.searchParams.get("id") || "").trim();
+
+    if (req.method === "GET") {
+      if (id) {
+        const entry = await getRejection(redis, id);
+        if (!entry) return res.status(404).json({ ok: false, error: "rejection not found" });
+        return res.status(200).json({ ok: true, rejection: entry });
+      }
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit") || "100", 10) || 100, 1), 1000);
+      const before = (url.searchParams.get("before") || "").trim();
+      if (before && !isStreamId(before)) {
+        return res.status(400).json({ ok: false, error: "invalid cursor" });
+      }
+      const { entries: rejections, next_cursor } = await listRejections(redis, {
+        client: (url.searchParams.get("client") || "").toLowerCase().trim() || undefined,
+        reason: (url.searchParams.get("reason") || "").trim() || undefined,
+        from: parseDate(url.searchParams.get("from")),
+        to: parseDate(url.searchParams.get("to"), true),
+        before: before || undefined,
+        limit
+      });
+      return res.status(200).json({ ok: true, count: rejections.length, rejections, next_cursor });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    const token = req.headers["x-admin-token"] || url.searchParams.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    const action = url.searchParams.get("action") || "rescue";
+    if (action !== "rescue") return res.status(400).json({ ok: false, error: "unknown action" });
+    if (!id) return res.status(400).json({ ok: false, error: "id required" });
+
+    const entry = await getRejection(redis, id);
+    if (!entry) return res.status(404).json({ ok: false, error: "rejection not found" });
+    if (!entry.mention?.id) return res.status(422).json({ ok: false, error: "rejection has no stored payload" });
+    if (entry.rescued) return res.status(409).json({ ok: false, error: "already rescued", rescued: entry.rescued });
+
+    const body = parseBody(req);
+    let exceptionRule = null;
+    if (body.exception) {
+      const { rule, error } = exceptionRuleFor(entry, body.exception);
+      if (error) return res.status(400).json({ ok: false, error: `exception: ${error}` });
+      exceptionRule = await saveRule(redis, rule);
+    }
+
+    const m = { ...entry.mention, rescued_from: id };
+    const stored = await storeMention(redis, m);
+    const hooks = stored ? await runPostStoreHooks(redis, [m]) : {};
+
+    await markRescued(redis, id, { mention_id: m.id, stored, exception_rule: exceptionRule?.id || null });
+    console.log(`[Rejections] Rescued "${m.title}" (${entry.reason})${stored ? "" : " - already stored"}`);
+
+    res.status(200).json({
+      ok: true,
+      stored,
+      mention: m,
+      exception_rule: exceptionRule,
+      spikes: hooks.spikes?.length || 0
+    });
+  } catch (e) {
+    console.error("Rejections API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
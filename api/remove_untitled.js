@@ -1,6 +1,7 @@
 // /api/remove_untitled.js
 // Remove Meltwater articles with "Untitled" title or missing summaries
 import { Redis } from "@upstash/redis";
+import { removeMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -115,14 +116,11 @@ export default async function handler(req, res) {
     let removedFromMain = 0;
     let removedFromStream = 0;
 
-    // Remove from main set
-    for (const mention of toRemove) {
-      try {
-        const result = await redis.zrem(ZSET, JSON.stringify(mention));
-        if (result === 1) removedFromMain++;
-      } catch (error) {
-        console.error('Error removing from main set:', mention.id, error);
-      }
+    // Remove from main set (and its index entries)
+    try {
+      removedFromMain = await removeMentions(redis, toRemove.map(m => m.id), toRemove);
+    } catch (error) {
+      console.error('Error removing from main set:', error);
     }
 
     // Also remove from streamed set
@@ -23,6 +23,9 @@ export default async function handler(req, res) {
       "mentions:z",                    // Main sorted set
       "mentions:seen",                 // Seen IDs
       "mentions:seen:canon",           // Canonical URLs
+      "mentions:member",               // Mention id -> stored member
+      "mentions:canon",                // Canonical URL -> mention id
+      "mentions:canon:z",              // Canonical URLs by published time
       "mentions:streamed:z",           // Meltwater streaming
       "meltwater:last_stream_time",   // Meltwater timestamp
     ];
@@ -40,6 +43,23 @@ export default async function handler(req, res) {
       }
     }
 
+    // Mention indexes (including mentions:idx:ready) and daily counters (mention_store.js),
+    // and the full-text index (search_index.js)
+    for (const pattern of ["mentions:idx:*", "mentions:daily:*", "search:p:*", "search:doc:*", "search:stats:*"]) {
+      try {
+        const keys = await redis.keys(pattern);
+        console.log(`RESET: Found ${keys.length} keys matching ${pattern}`);
+
+        for (const key of keys) {
+          await redis.del(key);
+          results[key] = "deleted";
+        }
+      } catch (e) {
+        results[pattern] = `error: ${e.message}`;
+        console.error(`RESET: Failed to delete ${pattern}:`, e);
+      }
+    }
+
     // Also clear any meltwater cache keys
     try {
       const meltwaterKeys = await redis.keys("meltwater:*");
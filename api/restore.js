@@ -1,6 +1,7 @@
 // /api/restore.js
 // Restore and fix Meltwater articles that were incorrectly removed
 import { Redis } from "@upstash/redis";
+import { upsertMentions } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -95,10 +96,7 @@ export default async function handler(req, res) {
         // Only restore if it's actually a legitimate article (has a proper title now)
         if (fixed.title && fixed.title !== 'Untitled' && fixed.title.length > 3) {
           // Add back to main set with original timestamp
-          await redis.zadd(ZSET, {
-            score: mention.published_ts || Math.floor(Date.now() / 1000),
-            member: JSON.stringify(fixed)
-          });
+          await upsertMentions(redis, [{ ...fixed, published_ts: mention.published_ts || Math.floor(Date.now() / 1000) }]);
 
           restored++;
           restoredArticles.push({
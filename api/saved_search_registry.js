@@ -0,0 +1,193 @@
+// saved_search_registry.js
+// Named queries the team runs over and over ("Harvey AND funding", "StubHub AND FTC")
+//
+// A saved search is a full-text query (search_index.js syntax) plus optional origin and
+// client filters and a date window. Running it composes those into one query for
+// searchMentions(). Which matches have been seen is tracked per search, so the
+// dashboard can show what is new since it was last viewed. Saving a search marks its
+// current matches as seen.
+
+import { searchMentions } from "./search_index.js";
+
+const SEARCHES_HASH = "saved_searches:registry";  // id -> saved search JSON
+const SEEN_PREFIX = "saved_searches:seen";        // id -> set of mention ids already viewed
+const SEEN_TTL = 15 * 24 * 3600;                  // retention plus a margin
+const MAX_MATCHES = 1000;                         // matches compared against the seen set
+const COUNTS_PREFIX = "saved_searches:counts";    // id -> { total, new } for the dashboard's chips
+const COUNTS_TTL = 5 * 60;                        // recomputed at most every 5 minutes, or after a save/view
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v.map(s => String(s).trim()).filter(Boolean);
+  if (typeof v === "string") return v.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+const seenKey = (id) => `${SEEN_PREFIX}:${id}`;
+const countsKey = (id) => `${COUNTS_PREFIX}:${id}`;
+
+/**
+ * Validate and normalise a saved search
+ * @param {Object} input - Fields from the API
+ * @param {Object} [existing] - Stored search when updating
+ * @returns {{search?:Object, error?:string}}
+ */
+export function validateSavedSearch(input, existing = null) {
+  const merged = { ...(existing || {}), ...(input || {}) };
+
+  const name = (merged.name || "").toString().trim();
+  if (!name) return { error: "name is required" };
+
+  const id = (existing?.id || merged.id || name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")).toString();
+  if (!/^[a-z0-9_]+$/.test(id)) return { error: "id must be a-z, 0-9 and _" };
+
+  const q = (merged.q || "").toString().trim();
+  const origins = toList(merged.origins).map(o => o.toLowerCase());
+  const badOrigin = origins.find(o => !/^[a-z0-9_]+$/.test(o));
+  if (badOrigin) return { error: `invalid origin: ${badOrigin}` };
+  const client = merged.client ? String(merged.client).toLowerCase().trim() : null;
+  if (client && !/^[a-z0-9_]+$/.test(client)) return { error: "client must be a slug (a-z, 0-9, _)" };
+  if (!q && !origins.length && !client) return { error: "q, origins or client is required" };
+
+  // Either a rolling window in days or a fixed from/to
+  const from = merged.from ? new Date(merged.from) : null;
+  const to = merged.to ? new Date(merged.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: "from and to must be dates" };
+  if (from && to && from > to) return { error: "from must be before to" };
+  const window_days = from ? null : Number(merged.window_days ?? 7);
+  if (window_days !== null && !(window_days > 0 && window_days <= 30)) return { error: "window_days must be between 1 and 30" };
+
+  const now = new Date().toISOString();
+  const search = {
+    id,
+    name,
+    q,
+    origins,
+    client,
+    window_days,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    last_viewed_at: existing?.last_viewed_at || null
+  };
+  return { search };
+}
+
+/**
+ * The search_index.js query a saved search runs: q AND any origin AND the client
+ * (matched as client tag or origin, like the dashboard's client filter)
+ */
+export function queryOf(search) {
+  const parts = [];
+  if (search.q) parts.push(search.q);
+  if (search.origins?.length) parts.push(search.origins.map(o => `origin:${o}`).join(" OR "));
+  if (search.client) parts.push(`client:${search.client} OR origin:${search.client}`);
+  return parts.join(" ");
+}
+
+function windowOf(search) {
+  const now = Math.floor(Date.now() / 1000);
+  if (search.from) {
+    return {
+      from: Math.floor(Date.parse(search.from) / 1000),
+      to: search.to ? Math.min(now, Math.floor(Date.parse(search.to) / 1000)) : now
+    };
+  }
+  return { from: now - (search.window_days || 7) * 24 * 3600, to: now };
+}
+
+export async function listSavedSearches(redis) {
+  const all = await redis.hgetall(SEARCHES_HASH);
+  return Object.values(all || {})
+    .map(toObj)
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getSavedSearch(redis, id) {
+  return toObj(await redis.hget(SEARCHES_HASH, id));
+}
+
+export async function saveSavedSearch(redis, search) {
+  await redis.hset(SEARCHES_HASH, { [search.id]: JSON.stringify(search) });
+  await redis.del(countsKey(search.id));
+  return search;
+}
+
+export async function deleteSavedSearch(redis, id) {
+  await redis.del(seenKey(id), countsKey(id));
+  return (await redis.hdel(SEARCHES_HASH, id)) > 0;
+}
+
+/**
+ * Run a saved search; each result carries is_new (not seen at the last view)
+ * @param {Redis} redis
+ * @param {Object} search - From getSavedSearch
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=50]
+ * @param {number} [opts.offset=0]
+ * @returns {Promise<{total:number, new_count:number, results:Array, window:{from:number, to:number}}>}
+ */
+export async function runSavedSearch(redis, search, { limit = 50, offset = 0 } = {}) {
+  const window = windowOf(search);
+  const { total, results } = await searchMentions(redis, queryOf(search), { ...window, limit: MAX_MATCHES });
+
+  const ids = results.map(r => r.mention.id);
+  const seen = ids.length ? await redis.smismember(seenKey(search.id), ids) : [];
+  results.forEach((r, i) => { r.is_new = !Number(seen[i]); });
+
+  return {
+    total,
+    new_count: results.filter(r => r.is_new).length,
+    results: results.slice(offset, offset + limit),
+    window
+  };
+}
+
+/**
+ * Match and new-match counts of several saved searches, cached for COUNTS_TTL so listing
+ * them doesn't run every search each time
+ * @param {Redis} redis
+ * @param {Array<Object>} searches
+ * @returns {Promise<Array<{total:number, new:number}>>} - In the order of searches
+ */
+export async function savedSearchCounts(redis, searches) {
+  if (!searches.length) return [];
+  const cached = await redis.mget(...searches.map(s => countsKey(s.id)));
+  const out = [];
+  for (let i = 0; i < searches.length; i++) {
+    let counts = toObj(cached[i]);
+    if (!counts) {
+      const { total, new_count } = await runSavedSearch(redis, searches[i], { limit: 0 });
+      counts = { total, new: new_count };
+      await redis.set(countsKey(searches[i].id), JSON.stringify(counts), { ex: COUNTS_TTL });
+    }
+    out.push(counts);
+  }
+  return out;
+}
+
+/**
+ * Mark matches of a saved search as seen
+ * @param {Redis} redis
+ * @param {Object} search
+ * @param {Array<string>} [ids] - The matches that were shown; default: everything it matches now
+ * @returns {Promise<Object>} - The search with last_viewed_at updated
+ */
+export async function markViewed(redis, search, ids = null) {
+  if (!ids) {
+    const { results } = await searchMentions(redis, queryOf(search), { ...windowOf(search), limit: MAX_MATCHES });
+    ids = results.map(r => r.mention.id);
+  }
+  if (ids.length) {
+    await redis.sadd(seenKey(search.id), ...ids);
+    await redis.expire(seenKey(search.id), SEEN_TTL);
+  }
+  return saveSavedSearch(redis, { ...search, last_viewed_at: new Date().toISOString() });
+}
@@ -0,0 +1,133 @@
+// /api/saved_searches.js
+// Saved searches (see saved_search_registry.js): named queries with origin/client/date filters
+//
+// GET    /api/saved_searches                     list (with counts per search when ?counts=1, cached up to 5 minutes)
+// GET    /api/saved_searches?id=harvey_funding   one search
+// GET    /api/saved_searches?id=...&run=1        its matches as JSON (limit, offset); each has is_new
+// POST   /api/saved_searches                     create { name, q, origins, client, window_days | from, to }
+// POST   /api/saved_searches?id=...&action=viewed  mark matches seen ({ ids } = the ones shown; default all)
+// PUT    /api/saved_searches?id=...              update (partial body allowed)
+// DELETE /api/saved_searches?id=...              remove
+//
+// The dashboard opens a saved search at /?saved=<id>; ?id=<id>&run=1 is the feed for other tools.
+// Writes (including action=viewed) require ADMIN_TOKEN via x-admin-token header or ?token=:
+// alert rules take their query from saved searches (alert_rules.js).
+import { Redis } from "@upstash/redis";
+import {
+  listSavedSearches, getSavedSearch, saveSavedSearch, deleteSavedSearch,
+  validateSavedSearch, runSavedSearch, savedSearchCounts, markViewed, queryOf
+} from "./saved_search_registry.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const id = (params.get("id") || "").toLowerCase().trim();
+
+    if (req.method === "GET") {
+      if (!id) {
+        const searches = await listSavedSearches(redis);
+        if (params.get("counts") === "1") {
+          const counts = await savedSearchCounts(redis, searches);
+          searches.forEach((s, i) => { s.counts = counts[i]; });
+        }
+        return res.status(200).json({ ok: true, count: searches.length, searches });
+      }
+
+      const search = await getSavedSearch(redis, id);
+      if (!search) return res.status(404).json({ ok: false, error: "saved search not found" });
+      if (params.get("run") !== "1") return res.status(200).json({ ok: true, search });
+
+      const limit = Math.max(1, Math.min(200, parseInt(params.get("limit") || "50", 10) || 50));
+      const offset = Math.max(0, parseInt(params.get("offset") || "0", 10) || 0);
+      const { total, new_count, results, window } = await runSavedSearch(redis, search, { limit, offset });
+      return res.status(200).json({
+        ok: true,
+        search,
+        query: queryOf(search),
+        total,
+        new_count,
+        limit,
+        offset,
+        window,
+        results: results.map(({ mention: m, score, title_html, snippet, is_new }) => ({
+          id: m.id,
+          title: m.title || "(untitled)",
+          link: m.link || null,
+          source: m.source || "",
+          section: m.section || "",
+          origin: m.origin || "",
+          client: m.client || null,
+          published: m.published || (m.published_ts ? new Date(m.published_ts * 1000).toISOString() : null),
+          published_ts: m.published_ts || 0,
+          reach: m.reach || 0,
+          sentiment_label: m.sentiment_label || null,
+          score,
+          title_html,
+          snippet,
+          is_new
+        }))
+      });
+    }
+
+    const token = req.headers["x-admin-token"] || params.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    if (req.method === "POST" && params.get("action") === "viewed") {
+      const search = id && await getSavedSearch(redis, id);
+      if (!search) return res.status(404).json({ ok: false, error: "saved search not found" });
+      const { ids } = parseBody(req);
+      const saved = await markViewed(redis, search, Array.isArray(ids) ? ids.map(String) : null);
+      return res.status(200).json({ ok: true, search: saved });
+    }
+
+    if (req.method === "POST") {
+      const { search, error } = validateSavedSearch(parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      if (await getSavedSearch(redis, search.id)) {
+        return res.status(409).json({ ok: false, error: "saved search already exists", id: search.id });
+      }
+      // Runs the query once (a bad query fails here) and starts "new" from now
+      const saved = await markViewed(redis, search);
+      return res.status(201).json({ ok: true, search: saved });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const existing = id && await getSavedSearch(redis, id);
+      if (!existing) return res.status(404).json({ ok: false, error: "saved search not found" });
+      const { search, error } = validateSavedSearch(parseBody(req), existing);
+      if (error) return res.status(400).json({ ok: false, error });
+      await runSavedSearch(redis, search, { limit: 0 }); // reject a bad query before storing it
+      const saved = await saveSavedSearch(redis, search);
+      return res.status(200).json({ ok: true, search: saved });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ ok: false, error: "id required" });
+      const removed = await deleteSavedSearch(redis, id);
+      if (!removed) return res.status(404).json({ ok: false, error: "saved search not found" });
+      return res.status(200).json({ ok: true, removed: id });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    if (e?.status === 400) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    console.error("Saved searches API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,79 @@
+// /api/search.js
+// Full-text search over stored mentions (search_index.js), ranked with BM25
+//
+// GET /api/search?q=delta "ticket resale" -opinion source:law360
+//   q       query: words, "phrases", OR, NOT / -word, and title: source: summary:
+//           origin: client: section: prefixes
+//   from/to window as ISO date/time or epoch seconds (default: everything retained)
+//   limit   results per page (default 50, max 200); offset for later pages
+//
+// Each result is a mention plus score, title_html and snippet. Both are HTML-escaped
+// with <mark> around the matched words.
+import { Redis } from "@upstash/redis";
+import { searchMentions } from "./search_index.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function parseDate(v, endOfDay = false) {
+  if (!v) return undefined;
+  if (/^\d+$/.test(v)) return Number(v) > 1e12 ? Math.floor(Number(v) / 1000) : Number(v);
+  const t = Date.parse(v);
+  if (!Number.isFinite(t)) return undefined;
+  const s = Math.floor(t / 1000);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v) ? s + 86399 : s;
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const q = (params.get("q") || "").trim();
+    if (!q) {
+      return res.status(400).json({ ok: false, error: "q is required" });
+    }
+
+    const started = Date.now();
+    const limit = Math.max(1, Math.min(200, parseInt(params.get("limit") || "50", 10) || 50));
+    const offset = Math.max(0, parseInt(params.get("offset") || "0", 10) || 0);
+    const from = parseDate(params.get("from")) ?? 0;
+    const to = parseDate(params.get("to"), true) ?? Math.floor(Date.now() / 1000);
+
+    const { total, results, truncated } = await searchMentions(redis, q, { from, to, limit, offset });
+
+    res.status(200).json({
+      ok: true,
+      query: q,
+      total,
+      limit,
+      offset,
+      truncated,
+      took_ms: Date.now() - started,
+      results: results.map(({ mention: m, score, title_html, snippet }) => ({
+        id: m.id,
+        title: m.title || "(untitled)",
+        link: m.link || null,
+        source: m.source || "",
+        section: m.section || "",
+        origin: m.origin || "",
+        client: m.client || null,
+        cluster_id: m.cluster_id || null,
+        published: m.published || (m.published_ts ? new Date(m.published_ts * 1000).toISOString() : null),
+        published_ts: m.published_ts || 0,
+        reach: m.reach || 0,
+        sentiment_label: m.sentiment_label || null,
+        score,
+        title_html,
+        snippet
+      }))
+    });
+  } catch (e) {
+    if (e?.status === 400) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    console.error("Search error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
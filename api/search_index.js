@@ -0,0 +1,389 @@
+// search_index.js
+// Inverted index over mention titles, summaries and sources, ranked with BM25
+//
+// mention_store.js indexes every mention it writes and unindexes what it removes or
+// trims, so the index follows mentions:z. Words are lowercased, stop-worded (the
+// list the story dedupe has always used) and stemmed. Title and source words are
+// also posted under "title:" / "source:" so field queries don't need to load text.
+//
+// Query syntax (/api/search?q=):
+//   delta outage            both words (AND is implicit)
+//   "ticket resale"         phrase
+//   refund OR chargeback    either; OR binds tighter than AND: a b OR c = a AND (b OR c)
+//   NOT opinion, -opinion   exclude
+//   title: source: summary: origin: client: section:   field prefixes, e.g. source:law360
+
+import { STOP_WORDS } from "./story_index.js";
+import { loadMentions, idsInIndexes } from "./mention_store.js";
+
+const POSTING_PREFIX = "search:p";     // term -> hash of mention id -> "tf:doclen"
+const DOC_PREFIX = "search:doc";       // mention id -> { terms, dl, day } for unindexing
+const STATS_PREFIX = "search:stats";   // UTC day indexed -> hash { docs, len }, for N and avgdl
+const TTL = 15 * 24 * 3600;            // retention plus a margin
+const MAX_CANDIDATES = 2000;           // in-window mentions verified for phrases and given snippets
+
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;                // title words count twice in a mention's term frequency
+
+const TEXT_FIELDS = ["title", "summary", "source"];
+const INDEX_FIELDS = ["origin", "client", "section"];
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Light suffix stripping; the same function runs at index and query time, so it only has to be consistent
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (w.endsWith("ies") && w.length > 4) return w.slice(0, -3) + "y";
+  if (w.endsWith("sses")) return w.slice(0, -2);
+  if (/(?:xes|ches|shes)$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("s") && !/(?:ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  for (const suffix of ["ing", "edly", "ed", "ly"]) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length);
+      if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(?:ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  return w;
+}
+
+// Lowercased words without punctuation, in order (stop words kept, for phrase checks)
+function words(text) {
+  return (text || "").toLowerCase().replace(/[^\w\s]/g, " ").split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Index terms of a text: no stop words or single characters, stemmed
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return words(text).filter(w => w.length > 1 && !STOP_WORDS.has(w)).map(stem);
+}
+
+function summaryText(m) {
+  return typeof m.summary === "string" ? m.summary : (m.summary?.opening_text || m.summary?.content || "");
+}
+
+// term -> weighted tf, plus the document length
+function termsOf(m) {
+  const tf = {};
+  const add = (term, n = 1) => { tf[term] = (tf[term] || 0) + n; };
+  const title = tokenize(m.title);
+  const summary = tokenize(summaryText(m));
+  const source = tokenize((m.source || "").replace(/\./g, " "));
+
+  for (const t of title) { add(t, TITLE_WEIGHT); add(`title:${t}`); }
+  for (const t of summary) add(t);
+  for (const t of source) { add(t); add(`source:${t}`); }
+  return { tf, dl: title.length * TITLE_WEIGHT + summary.length + source.length };
+}
+
+const postingKey = (term) => `${POSTING_PREFIX}:${term}`;
+const docKey = (id) => `${DOC_PREFIX}:${id}`;
+const statsKey = (day) => `${STATS_PREFIX}:${day}`;
+
+/**
+ * Index (or re-index) stored mentions
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions
+ * @returns {Promise<number>} - Mentions indexed
+ */
+export async function indexForSearch(redis, mentions) {
+  const list = (mentions || []).filter(m => m?.id);
+  if (!list.length) return 0;
+
+  const previous = await redis.mget(...list.map(m => docKey(m.id)));
+  const day = new Date().toISOString().slice(0, 10);
+  const p = redis.pipeline();
+
+  list.forEach((m, i) => {
+    const prev = toObj(previous[i]);
+    const { tf, dl } = termsOf(m);
+    const terms = Object.keys(tf);
+
+    // A re-index drops terms the mention no longer has; stats count it once
+    for (const t of prev?.terms || []) if (!(t in tf)) p.hdel(postingKey(t), m.id);
+    for (const t of terms) {
+      p.hset(postingKey(t), { [m.id]: `${tf[t]}:${dl}` });
+      p.expire(postingKey(t), TTL);
+    }
+    if (prev) {
+      p.hincrby(statsKey(prev.day), "len", dl - (prev.dl || 0));
+    } else {
+      p.hincrby(statsKey(day), "docs", 1);
+      p.hincrby(statsKey(day), "len", dl);
+      p.expire(statsKey(day), TTL);
+    }
+    p.set(docKey(m.id), JSON.stringify({ terms, dl, day: prev?.day || day }), { ex: TTL });
+  });
+
+  await p.exec();
+  return list.length;
+}
+
+/**
+ * Remove mentions from the index
+ * @param {Redis} redis
+ * @param {Array<string>} ids
+ */
+export async function unindexForSearch(redis, ids) {
+  const list = [...new Set((ids || []).filter(Boolean))];
+  for (let i = 0; i < list.length; i += 200) {
+    const chunk = list.slice(i, i + 200);
+    const docs = await redis.mget(...chunk.map(docKey));
+    const p = redis.pipeline();
+    let queued = 0;
+    chunk.forEach((id, k) => {
+      const doc = toObj(docs[k]);
+      if (!doc) return;
+      for (const t of doc.terms || []) p.hdel(postingKey(t), id);
+      p.hincrby(statsKey(doc.day), "docs", -1);
+      p.hincrby(statsKey(doc.day), "len", -(doc.dl || 0));
+      p.del(docKey(id));
+      queued++;
+    });
+    if (queued) await p.exec();
+  }
+}
+
+// ---- query parsing ----
+
+/**
+ * Parse a query into AND-ed items, each an OR of atoms
+ * @param {string} q
+ * @returns {{items:Array<{not:boolean, atoms:Array<{field:string|null, phrase:boolean, text:string}>}>}}
+ */
+export function parseQuery(q) {
+  const tokens = [];
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+  while ((match = re.exec(q || ""))) {
+    const [, minus, field, phrase, word] = match;
+    tokens.push({ minus: !!minus, field: field?.toLowerCase() || null, phrase: phrase !== undefined, text: phrase ?? word });
+  }
+
+  const items = [];
+  let pendingNot = false;
+  let joinNext = false;
+  for (const t of tokens) {
+    if (!t.field && !t.phrase && t.text === "OR") { joinNext = items.length > 0; continue; }
+    if (!t.field && !t.phrase && t.text === "AND") continue;
+    if (!t.field && !t.phrase && t.text === "NOT") { pendingNot = true; continue; }
+
+    const field = TEXT_FIELDS.includes(t.field) || INDEX_FIELDS.includes(t.field) ? t.field : null;
+    const text = field || !t.field ? t.text : `${t.field}:${t.text}`; // unknown prefix: plain text
+    const atom = { field, phrase: t.phrase || (!INDEX_FIELDS.includes(field) && tokenize(text).length > 1), text };
+    if (!text.trim()) continue;
+
+    if (joinNext && !t.minus && !pendingNot) items[items.length - 1].atoms.push(atom);
+    else items.push({ not: t.minus || pendingNot, atoms: [atom] });
+    pendingNot = false;
+    joinNext = false;
+  }
+  return { items };
+}
+
+// ---- search ----
+
+// Postings term of a text atom's words
+function atomTerms(atom) {
+  const terms = tokenize(atom.text);
+  if (atom.field === "title" || atom.field === "source") return terms.map(t => `${atom.field}:${t}`);
+  return terms;
+}
+
+// Normalized word sequence, for phrase and field checks
+function normalized(text) {
+  return ` ${words(text).join(" ")} `;
+}
+
+function atomMatches(atom, m) {
+  if (INDEX_FIELDS.includes(atom.field)) return (m[atom.field] || "").toLowerCase() === atom.text.toLowerCase();
+  const haystack = atom.field === "title" ? m.title
+    : atom.field === "source" ? (m.source || "").replace(/\./g, " ")
+    : atom.field === "summary" ? summaryText(m)
+    : `${m.title || ""} ${summaryText(m)} ${(m.source || "").replace(/\./g, " ")}`;
+  if (atom.phrase) return normalized(haystack).includes(normalized(atom.text));
+  const have = new Set(tokenize(haystack));
+  return tokenize(atom.text).every(t => have.has(t));
+}
+
+/**
+ * Whether one mention matches a query, without the index (e.g. alert rules on fresh mentions)
+ * @param {string} q
+ * @param {Object} m
+ * @returns {boolean}
+ */
+export function matchesQuery(q, m) {
+  const { items } = parseQuery(q);
+  if (!items.some(i => !i.not)) return false;
+  return items.every(item => item.atoms.some(a => atomMatches(a, m)) !== item.not);
+}
+
+async function corpusStats(redis) {
+  const p = redis.pipeline();
+  const days = [];
+  for (let i = 0; i < 16; i++) {
+    days.push(new Date(Date.now() - i * 86400000).toISOString().slice(0, 10));
+    p.hgetall(statsKey(days[i]));
+  }
+  let docs = 0;
+  let len = 0;
+  for (const s of await p.exec()) {
+    docs += Number(s?.docs) || 0;
+    len += Number(s?.len) || 0;
+  }
+  return { N: Math.max(docs, 1), avgdl: docs > 0 ? len / docs : 1 };
+}
+
+function escapeHtml(s) {
+  return String(s || "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// Escaped text with <mark> around words whose stem is a query term. Words are found in the
+// raw text and each segment escaped on its own, so entities like &amp; are never split.
+function highlight(text, stems) {
+  return String(text || "").split(/(\w+)/).map((part, i) =>
+    i % 2 && stems.has(stem(part.toLowerCase())) ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+  ).join("");
+}
+
+/**
+ * ~radius characters of text around the first query word, highlighted
+ * @returns {string} - HTML-escaped snippet
+ */
+export function snippetOf(text, stems, radius = 100) {
+  const plain = String(text || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+  if (!plain) return "";
+  let at = 0;
+  const re = /\w+/g;
+  let w;
+  while ((w = re.exec(plain))) {
+    if (stems.has(stem(w[0].toLowerCase()))) { at = w.index; break; }
+  }
+  const start = Math.max(0, at - radius);
+  const end = Math.min(plain.length, at + radius);
+  return `${start > 0 ? "… " : ""}${highlight(plain.slice(start, end), stems)}${end < plain.length ? " …" : ""}`;
+}
+
+/**
+ * Run a query
+ * @param {Redis} redis
+ * @param {string} q
+ * @param {Object} [opts]
+ * @param {number} [opts.from] - Epoch seconds, on published_ts
+ * @param {number} [opts.to]
+ * @param {number} [opts.limit=50]
+ * @param {number} [opts.offset=0]
+ * @returns {Promise<{total:number, results:Array<{mention:Object, score:number, snippet:string, title_html:string}>, truncated:boolean}>}
+ */
+export async function searchMentions(redis, q, { from = 0, to = Math.floor(Date.now() / 1000), limit = 50, offset = 0 } = {}) {
+  const { items } = parseQuery(q);
+  const positive = items.filter(i => !i.not);
+  if (!positive.length) {
+    const err = new Error("query needs at least one term that isn't negated");
+    err.status = 400;
+    throw err;
+  }
+
+  // 1. Postings of every text term in the query, one round trip
+  const textTerms = [...new Set(items.flatMap(i => i.atoms).filter(a => !INDEX_FIELDS.includes(a.field)).flatMap(atomTerms))];
+  const postings = {};
+  if (textTerms.length) {
+    const p = redis.pipeline();
+    for (const t of textTerms) p.hgetall(postingKey(t));
+    const res = await p.exec();
+    textTerms.forEach((t, i) => { postings[t] = res[i] || {}; });
+  }
+
+  // 2. Candidate ids per atom; origin/client/section come from mention_store.js's indexes
+  async function idsOf(atom) {
+    if (INDEX_FIELDS.includes(atom.field)) {
+      return new Set(await idsInIndexes(redis, [{ dimension: atom.field, value: atom.field === "section" ? atom.text : atom.text.toLowerCase() }], from, to));
+    }
+    const terms = atomTerms(atom);
+    if (!terms.length) return null; // only stop words: no constraint
+    let ids = null;
+    for (const t of terms) {
+      const have = new Set(Object.keys(postings[t] || {}));
+      ids = ids ? new Set([...ids].filter(id => have.has(id))) : have;
+    }
+    return ids;
+  }
+
+  let candidates = null;
+  for (const item of positive) {
+    let union = new Set();
+    let unconstrained = false;
+    for (const atom of item.atoms) {
+      const ids = await idsOf(atom);
+      if (ids === null) { unconstrained = true; break; }
+      for (const id of ids) union.add(id);
+    }
+    if (unconstrained) continue;
+    candidates = candidates ? new Set([...candidates].filter(id => union.has(id))) : union;
+  }
+  if (!candidates) {
+    const err = new Error("query has no searchable words");
+    err.status = 400;
+    throw err;
+  }
+
+  // 3. BM25 over the positive text terms
+  const { N, avgdl } = await corpusStats(redis);
+  const scoreTerms = [...new Set(positive.flatMap(i => i.atoms).filter(a => !INDEX_FIELDS.includes(a.field)).flatMap(atomTerms))];
+  const scores = new Map();
+  for (const id of candidates) {
+    let score = 0;
+    for (const t of scoreTerms) {
+      const posting = postings[t]?.[id];
+      if (!posting) continue;
+      const [tf, dl] = String(posting).split(":").map(Number);
+      const df = Object.keys(postings[t]).length;
+      const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (dl || avgdl) / avgdl));
+    }
+    scores.set(id, score);
+  }
+
+  // 4. Load the best candidates a chunk at a time, keeping those in the window, until
+  //    MAX_CANDIDATES are in hand; then verify phrases, fields and NOTs on the text
+  const ranked = [...candidates].sort((a, b) => scores.get(b) - scores.get(a));
+  const mentions = [];
+  const alive = new Set();
+  let loaded = 0;
+  while (loaded < ranked.length && mentions.length < MAX_CANDIDATES) {
+    const chunk = ranked.slice(loaded, loaded + MAX_CANDIDATES);
+    loaded += chunk.length;
+    for (const m of await loadMentions(redis, chunk)) {
+      alive.add(m.id);
+      if ((m.published_ts || 0) >= from && (m.published_ts || 0) <= to) mentions.push(m);
+    }
+  }
+  const truncated = loaded < ranked.length || mentions.length > MAX_CANDIDATES;
+  mentions.splice(MAX_CANDIDATES);
+  const stems = new Set(scoreTerms.map(t => t.replace(/^\w+:/, "")));
+
+  const matches = mentions
+    .filter(m => items.every(item => item.atoms.some(a => atomMatches(a, m)) !== item.not))
+    .map(m => ({
+      mention: m,
+      score: Math.round(scores.get(m.id) * 1000) / 1000,
+      title_html: highlight(m.title || "", stems),
+      snippet: snippetOf(summaryText(m) || m.title, stems)
+    }))
+    .sort((a, b) => b.score - a.score || (b.mention.published_ts || 0) - (a.mention.published_ts || 0));
+
+  // Stale postings (mention removed outside mention_store.js) drop out here
+  const stale = ranked.slice(0, loaded).filter(id => !alive.has(id));
+  if (stale.length) await unindexForSearch(redis, stale);
+
+  return { total: matches.length, results: matches.slice(offset, offset + limit), truncated };
+}
@@ -0,0 +1,170 @@
+// sentiment_aggregator.js
+// Rolls per-article sentiment up into hourly and daily buckets, run after every ingestion
+//
+// Buckets exist per client and per origin. Counters live in a hash per bucket and
+// the most negative headlines in a small zset; after each run the bucket summary
+// is (re)written to mw:sentiment:z, which /api/sentiment_overview serves.
+
+const ZSET_SENT = "mw:sentiment:z";
+const BUCKET_PREFIX = "sentiment:bucket";   // hash: positive/neutral/negative/score_sum
+const NEG_PREFIX = "sentiment:neg";         // zset: headline JSON scored by sentiment (lowest first)
+const MEMBER_PREFIX = "sentiment:member";   // current mw:sentiment:z member per bucket
+
+const HOUR = 3600;
+const GRANULARITIES = { hourly: HOUR, daily: 24 * HOUR };
+const NEGATIVE_HEADLINES = 3;
+const BUCKET_TTL = 15 * 24 * HOUR;
+const SENTIMENT_RETENTION_DAYS = 14;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+/**
+ * Classify a stored mention. Meltwater sends a label, local collectors a numeric score.
+ * @param {Object} m - Mention
+ * @returns {{label:string, score:number}|null} - null when the mention carries no sentiment
+ */
+export function classifyMention(m) {
+  const label = (m.sentiment_label || "").toLowerCase();
+  const score = typeof m.sentiment === "number" ? m.sentiment : null;
+
+  if (label === "positive" || label === "negative" || label === "neutral") {
+    return { label, score: score ?? (label === "positive" ? 1 : label === "negative" ? -1 : 0) };
+  }
+  if (score === null) return null;
+  return { label: score > 0 ? "positive" : score < 0 ? "negative" : "neutral", score };
+}
+
+// Start of the America/New_York day containing ts, so "daily" matches the dashboard's "today"
+function dayStartET(ts) {
+  const p = new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York", hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(new Date(ts * 1000)).reduce((o, p) => { if (p.type !== "literal") o[p.type] = Number(p.value); return o; }, {});
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000;
+  const offset = wall - ts;
+  return Date.UTC(p.year, p.month - 1, p.day) / 1000 - offset;
+}
+
+function bucketStart(granularity, ts) {
+  if (granularity === "daily") return dayStartET(ts);
+  return Math.floor(ts / HOUR) * HOUR;
+}
+
+function labelFor(key) {
+  return (key || "").replace(/_/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function summarize(bucket, counts, negatives, now) {
+  const positive = Number(counts?.positive || 0);
+  const neutral = Number(counts?.neutral || 0);
+  const negative = Number(counts?.negative || 0);
+  const total = positive + neutral + negative;
+  const net = positive - negative;
+  const direction = net > 0 ? "positive" : net < 0 ? "negative" : "neutral";
+
+  return {
+    id: `sent_${bucket.granularity}_${bucket.dimension}_${bucket.key}_${bucket.start}`,
+    ts: bucket.start,
+    detected_at: new Date(now * 1000).toISOString(),
+    granularity: bucket.granularity,
+    dimension: bucket.dimension,
+    [bucket.dimension]: bucket.key,
+    bucket_start: bucket.start,
+    bucket_end: bucket.start + GRANULARITIES[bucket.granularity],
+    positive,
+    neutral,
+    negative,
+    total,
+    net_score: net,
+    avg_score: total ? Math.round((Number(counts?.score_sum || 0) / total) * 100) / 100 : 0,
+    direction,
+    title: `${labelFor(bucket.key)}: ${positive} positive / ${neutral} neutral / ${negative} negative`,
+    link: negatives[0]?.link || null,
+    most_negative: negatives
+  };
+}
+
+/**
+ * Add freshly stored mentions to their sentiment buckets and refresh mw:sentiment:z.
+ * Never throws: aggregation must not fail an ingestion run.
+ * @param {Redis} redis - Upstash client of the calling collector
+ * @param {Array<Object>} mentions - Mentions stored by this run
+ * @returns {Promise<number>} - Number of buckets refreshed
+ */
+export async function aggregateSentiment(redis, mentions) {
+  if (!mentions?.length) return 0;
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+
+    // 1. Group this run's mentions by bucket so each bucket is written once
+    const buckets = new Map();
+    for (const m of mentions) {
+      const s = classifyMention(m);
+      if (!s) continue;
+
+      const ts = m.published_ts || now;
+      const dims = [["origin", m.origin]];
+      if (m.client) dims.push(["client", m.client]);
+
+      for (const granularity of Object.keys(GRANULARITIES)) {
+        for (const [dimension, key] of dims) {
+          if (!key) continue;
+          const start = bucketStart(granularity, ts);
+          const id = `${granularity}:${dimension}:${key}:${start}`;
+          if (!buckets.has(id)) {
+            buckets.set(id, { granularity, dimension, key, start, positive: 0, neutral: 0, negative: 0, score_sum: 0, negatives: [] });
+          }
+          const b = buckets.get(id);
+          b[s.label]++;
+          b.score_sum += s.score;
+          if (s.label === "negative") b.negatives.push({ score: s.score, title: m.title, link: m.link, source: m.source });
+        }
+      }
+    }
+
+    // 2. Persist counters and rebuild each bucket's summary
+    for (const [id, b] of buckets) {
+      const countsKey = `${BUCKET_PREFIX}:${id}`;
+      const negKey = `${NEG_PREFIX}:${id}`;
+
+      for (const field of ["positive", "neutral", "negative"]) {
+        if (b[field]) await redis.hincrby(countsKey, field, b[field]);
+      }
+      if (b.score_sum) await redis.hincrbyfloat(countsKey, "score_sum", b.score_sum);
+      await redis.expire(countsKey, BUCKET_TTL);
+
+      for (const n of b.negatives) {
+        await redis.zadd(negKey, { score: n.score, member: JSON.stringify({ title: n.title, link: n.link, source: n.source, score: n.score }) });
+      }
+      if (b.negatives.length) {
+        await redis.zremrangebyrank(negKey, NEGATIVE_HEADLINES, -1);
+        await redis.expire(negKey, BUCKET_TTL);
+      }
+
+      const counts = await redis.hgetall(countsKey);
+      const negatives = (await redis.zrange(negKey, 0, -1)).map(toObj).filter(Boolean);
+
+      const summary = summarize(b, counts, negatives, now);
+      const memberKey = `${MEMBER_PREFIX}:${id}`;
+      const member = JSON.stringify(summary);
+
+      const previous = await redis.get(memberKey);
+      if (previous) await redis.zrem(ZSET_SENT, typeof previous === "string" ? previous : JSON.stringify(previous));
+      await redis.zadd(ZSET_SENT, { score: summary.ts, member });
+      await redis.set(memberKey, member, { ex: BUCKET_TTL });
+    }
+
+    const cutoff = now - SENTIMENT_RETENTION_DAYS * 24 * HOUR;
+    await redis.zremrangebyscore(ZSET_SENT, "-inf", cutoff);
+
+    return buckets.size;
+  } catch (error) {
+    console.error("[Sentiment] Aggregation failed:", error);
+    return 0;
+  }
+}
@@ -1,8 +1,17 @@
 // /api/sentiment_overview.js
+// Serves sentiment buckets written by sentiment_aggregator.js
+// Params: window=today|24h, hours=N, granularity=hourly|daily, client=<key>, origin=<key>
 import { Redis } from "@upstash/redis";
 const redis = new Redis({ url: process.env.KV2_REST_API_URL, token: process.env.KV2_REST_API_TOKEN });
 
 const ZSET_SENT = "mw:sentiment:z";
+const GRANULARITIES = ["hourly", "daily"];
+
+function toObj(x){
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try{ return JSON.parse(x); }catch{ return null; }
+}
 
 function startOfTodayET(){
   const now = new Date();
@@ -16,21 +25,38 @@ export default async function handler(req,res){
   try{
     const win = (req.query?.window || "today").toString();
     const hours = Number(req.query?.hours || 24);
+    const granularity = (req.query?.granularity || "hourly").toString().toLowerCase();
+    const client = (req.query?.client || "").toString().toLowerCase().trim();
+    const origin = (req.query?.origin || "").toString().toLowerCase().trim();
+
+    if (!GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ ok:false, error:`granularity must be one of: ${GRANULARITIES.join(", ")}` });
+    }
+
     let start = 0;
     if (win === "today") start = startOfTodayET();
     else if (win === "24h" || Number.isFinite(hours)) start = Math.floor(Date.now()/1000) - hours*3600;
 
-    const raw = await redis.zrange(ZSET_SENT, 0, -1);
+    // Every mention is counted once per dimension; without a client filter, report per origin
+    const dimension = client ? "client" : "origin";
+    const key = client || origin;
+
+    // Daily buckets start at ET midnight, so a bucket can begin before a rolling window does
+    const minTs = granularity === "daily" && start ? start - 24*3600 + 1 : start;
+
+    const raw = await redis.zrange(ZSET_SENT, minTs, "+inf", { byScore: true });
     const items = [];
     for (const s of raw){
-      try{
-        const o = JSON.parse(s);
-        if (!start || (o.ts||0) >= start) items.push(o);
-      }catch{}
+      const o = toObj(s);
+      if (!o) continue;
+      if ((o.granularity || "hourly") !== granularity) continue;
+      if ((o.dimension || "origin") !== dimension) continue;
+      if (key && (o[dimension] || "").toLowerCase() !== key) continue;
+      items.push(o);
     }
-    items.sort((a,b)=> (b.ts||0) - (a.ts||0));
+    items.sort((a,b)=> (b.ts||0) - (a.ts||0) || (b.total||0) - (a.total||0));
     const latest = items[0] || null;
-    res.status(200).json({ ok:true, window: win, latest, items: items.slice(0,10) });
+    res.status(200).json({ ok:true, window: win, granularity, client: client || null, origin: origin || null, latest, items: items.slice(0,10) });
   }catch(e){
     res.status(500).json({ ok:false, error: e?.message || String(e) });
   }
@@ -0,0 +1,145 @@
+// sentiment_scorer.js
+// Lexicon-based sentiment for non-Meltwater mentions (Meltwater supplies its own)
+//
+// Scores whole words only, flips polarity after a negation ("not approved"),
+// scales after intensifiers ("major outage") and lets each client override
+// weights for vocabulary that is routine in its coverage. Enabled with ENABLE_SENTIMENT=true.
+
+export const ENABLE_SENTIMENT = (process.env.ENABLE_SENTIMENT || "").toLowerCase() === "true";
+
+/**
+ * Word weights from -3 (very negative) to +3 (very positive)
+ */
+const LEXICON = {
+  // Positive
+  win: 2, wins: 2, won: 2, winning: 2,
+  surge: 2, surges: 2, surged: 2,
+  rally: 1.5, rallies: 1.5, rallied: 1.5,
+  gain: 1.5, gains: 1.5, gained: 1.5,
+  growth: 1.5, grow: 1, grows: 1, grew: 1,
+  record: 1, profit: 1.5, profits: 1.5, profitable: 2,
+  positive: 1.5, strong: 1.5, stronger: 1.5, robust: 1.5,
+  secure: 1, secures: 1.5, secured: 1.5,
+  approve: 1.5, approves: 1.5, approved: 1.5, approval: 1.5,
+  partnership: 1.5, partners: 1, partnered: 1, alliance: 1,
+  launch: 1, launches: 1, launched: 1,
+  award: 2, awarded: 2, awards: 2, honored: 2,
+  expand: 1, expands: 1, expansion: 1,
+  innovative: 1.5, innovation: 1.5, breakthrough: 2.5,
+  improve: 1.5, improves: 1.5, improved: 1.5, improvement: 1.5,
+  upgrade: 1, upgraded: 1.5, beat: 1, beats: 1,
+  settle: 0.5, settles: 0.5, settled: 0.5,
+  dismissed: 1, cleared: 1.5, praised: 2, praise: 2,
+  success: 2, successful: 2, milestone: 1.5, best: 1.5,
+
+  // Negative
+  hack: -2.5, hacked: -2.5, hackers: -2,
+  breach: -2.5, breaches: -2.5, breached: -2.5,
+  lawsuit: -2, lawsuits: -2, sue: -2, sues: -2, sued: -2,
+  fined: -2, fines: -1.5, penalty: -2, penalties: -2,
+  drop: -1.5, drops: -1.5, dropped: -1.5,
+  decline: -1.5, declines: -1.5, declined: -1.5,
+  fall: -1, falls: -1.5, fell: -1.5,
+  plunge: -2.5, plunges: -2.5, plunged: -2.5,
+  negative: -1.5, weak: -1.5, weaker: -1.5,
+  investigate: -1.5, investigates: -1.5, investigation: -1.5, probe: -1.5,
+  halt: -1.5, halts: -1.5, halted: -1.5,
+  outage: -2, outages: -2,
+  delay: -1, delays: -1, delayed: -1,
+  ban: -2, bans: -2, banned: -2,
+  fraud: -3, scam: -3, scandal: -3,
+  crisis: -2.5, chaos: -2.5, failure: -2, fails: -2, failed: -2,
+  layoffs: -2, layoff: -2, cuts: -1, cut: -1,
+  loss: -1.5, losses: -1.5, lose: -1.5, loses: -1.5,
+  recall: -2, recalls: -2, recalled: -2,
+  complaint: -1.5, complaints: -1.5, criticized: -2, criticism: -2, backlash: -2,
+  warning: -1.5, warns: -1.5, risk: -1, risks: -1,
+  violation: -2, violations: -2, violated: -2, illegal: -2.5,
+  downgrade: -1.5, downgraded: -1.5, bankruptcy: -3, collapse: -3,
+  reject: -1.5, rejects: -1.5, rejected: -1.5, denied: -1.5, deny: -1
+};
+
+const NEGATIONS = new Set([
+  "not", "no", "never", "none", "nor", "without", "cannot",
+  "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't",
+  "won't", "wouldn't", "can't", "couldn't", "shouldn't", "hasn't", "haven't", "hadn't"
+]);
+const NEGATION_WINDOW = 3; // words after a negation that it applies to
+const NEGATION_FACTOR = -0.75;
+
+const INTENSIFIERS = {
+  very: 1.5, extremely: 2, highly: 1.5, major: 1.5, massive: 1.75, huge: 1.5,
+  significant: 1.5, significantly: 1.5, sharply: 1.5, severe: 1.75, serious: 1.5,
+  slightly: 0.5, somewhat: 0.6, minor: 0.5, modest: 0.6
+};
+
+/**
+ * Per-client weight overrides for vocabulary that is routine in that client's coverage
+ */
+const CLIENT_OVERRIDES = {
+  stubhub: { lawsuit: -0.25, lawsuits: -0.25, sue: -0.25, sued: -0.25, sues: -0.25 },
+  delta_air_lines: { delay: -0.25, delays: -0.25, delayed: -0.25 },
+  albemarle: { drop: -0.75, drops: -0.75, decline: -0.75, declines: -0.75 },
+  guardant_health: { positive: 0, negative: 0 } // test results, not tone
+};
+
+// Keeps the score comparable with Meltwater's -1..1 range
+const NORMALIZE_ALPHA = 4;
+const LABEL_THRESHOLD = 0.2;
+
+function tokenize(text) {
+  return (text || "").toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+}
+
+/**
+ * Score a piece of text
+ * @param {string} text - Title and summary
+ * @param {Object} [opts]
+ * @param {string} [opts.client] - Client key for domain overrides (e.g. "stubhub")
+ * @returns {{score:number, label:string, raw:number}} - score in [-1, 1], label positive|neutral|negative
+ */
+export function scoreSentiment(text, { client } = {}) {
+  const overrides = CLIENT_OVERRIDES[client] || {};
+  const tokens = tokenize(text);
+  let raw = 0;
+  let negatedUntil = -1;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const word = tokens[i];
+
+    if (NEGATIONS.has(word)) {
+      negatedUntil = i + NEGATION_WINDOW;
+      continue;
+    }
+
+    const weight = word in overrides ? overrides[word] : LEXICON[word];
+    if (!weight) continue;
+
+    let value = weight;
+    const prev = tokens[i - 1];
+    if (prev && INTENSIFIERS[prev]) value *= INTENSIFIERS[prev];
+    if (i <= negatedUntil) value *= NEGATION_FACTOR;
+
+    raw += value;
+  }
+
+  const score = Math.round((raw / Math.sqrt(raw * raw + NORMALIZE_ALPHA)) * 1000) / 1000;
+  const label = score >= LABEL_THRESHOLD ? "positive" : score <= -LABEL_THRESHOLD ? "negative" : "neutral";
+  return { score, label, raw };
+}
+
+/**
+ * Set sentiment/sentiment_label on a mention when ENABLE_SENTIMENT is on.
+ * Leaves mentions that already carry sentiment (e.g. from Meltwater) untouched.
+ * @param {Object} m - Mention being stored
+ * @returns {Object} - The same mention
+ */
+export function applySentiment(m) {
+  if (!ENABLE_SENTIMENT || !m) return m;
+  if (typeof m.sentiment === "number" || m.sentiment_label) return m;
+
+  const { score, label } = scoreSentiment(`${m.title || ""} ${m.summary || ""}`, { client: m.client || m.origin });
+  m.sentiment = score;
+  m.sentiment_label = label;
+  return m;
+}
@@ -2,7 +2,13 @@
 import { Redis } from "@upstash/redis";
 const redis = new Redis({ url: process.env.KV2_REST_API_URL, token: process.env.KV2_REST_API_TOKEN });
 
-const ZSET_SPIKES = "mw:spikes:z";
+const ZSET_SPIKES = "mw:spikes:z"; // written by spike_detector.js after each ingestion
+
+function toObj(x){
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try{ return JSON.parse(x); }catch{ return null; }
+}
 
 function startOfTodayET(){
   const now = new Date();
@@ -20,13 +26,15 @@ export default async function handler(req,res){
     if (win === "today") start = startOfTodayET();
     else if (win === "24h" || Number.isFinite(hours)) start = Math.floor(Date.now()/1000) - hours*3600;
 
+    const client = (req.query?.client || "").toString().toLowerCase().trim();
+
     const raw = await redis.zrange(ZSET_SPIKES, 0, -1); // members are JSON strings
     const items = [];
     for (const s of raw){
-      try{
-        const o = JSON.parse(s);
-        if (!start || (o.ts||0) >= start) items.push(o);
-      }catch{}
+      const o = toObj(s);
+      if (!o) continue;
+      if (client && (o.client || "").toLowerCase() !== client) continue;
+      if (!start || (o.ts||0) >= start) items.push(o);
     }
     items.sort((a,b)=> (b.ts||0) - (a.ts||0));
     res.status(200).json({ ok:true, window: win, spikes: items.slice(0,20) });
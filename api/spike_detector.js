@@ -0,0 +1,191 @@
+// spike_detector.js
+// Hourly mention-volume spike detection, run after every ingestion
+//
+// Each stored mention bumps an hourly counter for its origin (client). After a
+// run, the hours that received new mentions are compared against a rolling
+// baseline (mean/stddev of the preceding hours). Hours that stand out are
+// written to mw:spikes:z, which /api/spike_detection serves to the dashboard.
+// A newly detected spike is also published to the event bus for /api/stream.
+
+import { publishEvent } from "./event_bus.js";
+
+const ZSET = "mentions:z";
+const ZSET_SPIKES = "mw:spikes:z";
+const HOURLY_PREFIX = "spikes:hourly";     // hash per origin: hour epoch -> count
+const MEMBER_PREFIX = "spikes:member";     // current zset member per origin/hour, so re-runs replace it
+
+const HOUR = 3600;
+const BASELINE_HOURS = Number(process.env.SPIKE_BASELINE_HOURS || 168); // 7 days
+const Z_THRESHOLD = Number(process.env.SPIKE_Z_THRESHOLD || 3);
+const MIN_MENTIONS = Number(process.env.SPIKE_MIN_MENTIONS || 3);
+const EVAL_HOURS = 2;                      // only the current and previous hour can spike
+const SPIKE_RETENTION_DAYS = 7;
+const TOP_ARTICLES = 5;
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+function hourOf(ts) {
+  return Math.floor(ts / HOUR) * HOUR;
+}
+
+function labelFor(origin, section) {
+  if (section) return section;
+  return (origin || "").replace(/_/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Mean and standard deviation of the hourly counts preceding `hour`.
+ * Hours without a counter count as zero, but only from the first hour we have
+ * data for, so a freshly deployed origin doesn't get a week of fake zeros.
+ * @param {Object} counts - hour epoch (string) -> count
+ * @param {number} hour - The hour being evaluated
+ * @returns {{mean:number, stddev:number, hours:number}}
+ */
+export function baselineFor(counts, hour) {
+  const known = Object.keys(counts).map(Number).filter(h => h < hour);
+  if (!known.length) return { mean: 0, stddev: 0, hours: 0 };
+
+  const first = Math.max(Math.min(...known), hour - BASELINE_HOURS * HOUR);
+  const values = [];
+  for (let h = first; h < hour; h += HOUR) values.push(Number(counts[h] || 0));
+
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
+  return { mean, stddev: Math.sqrt(variance), hours: values.length };
+}
+
+/**
+ * Score one hour against its baseline.
+ * The stddev is floored at 1 so quiet origins need a real jump, not a single article.
+ * @returns {{isSpike:boolean, z:number, pct:number|null}}
+ */
+export function scoreHour(count, baseline) {
+  const z = (count - baseline.mean) / Math.max(baseline.stddev, 1);
+  const pct = baseline.mean > 0 ? Math.round(((count - baseline.mean) / baseline.mean) * 100) : null;
+  const isSpike = baseline.hours > 0 && count >= MIN_MENTIONS && z >= Z_THRESHOLD;
+  return { isSpike, z, pct };
+}
+
+async function topArticles(redis, origin, hour) {
+  const raw = await redis.zrange(ZSET, hour, hour + HOUR - 1, { byScore: true });
+  return raw.map(toObj)
+    .filter(m => m && m.origin === origin)
+    .sort((a, b) => (b.reach || 0) - (a.reach || 0) || (b.published_ts || 0) - (a.published_ts || 0))
+    .slice(0, TOP_ARTICLES)
+    .map(m => ({ id: m.id, title: m.title, link: m.link, source: m.source, published: m.published, reach: m.reach || 0 }));
+}
+
+async function writeSpike(redis, spike) {
+  const memberKey = `${MEMBER_PREFIX}:${spike.origin}:${spike.window.start}`;
+  const member = JSON.stringify(spike);
+
+  const previous = await redis.get(memberKey);
+  if (previous) await redis.zrem(ZSET_SPIKES, typeof previous === "string" ? previous : JSON.stringify(previous));
+
+  await redis.zadd(ZSET_SPIKES, { score: spike.ts, member });
+  await redis.set(memberKey, member, { ex: 2 * 24 * HOUR });
+
+  const cutoff = Math.floor(Date.now() / 1000) - SPIKE_RETENTION_DAYS * 24 * HOUR;
+  await redis.zremrangebyscore(ZSET_SPIKES, "-inf", cutoff);
+  return !previous;
+}
+
+/**
+ * Count freshly stored mentions and record any spikes they cause.
+ * Never throws: spike detection must not fail an ingestion run.
+ * @param {Redis} redis - Upstash client of the calling collector
+ * @param {Array<Object>} mentions - Mentions stored by this run
+ * @returns {Promise<Array<Object>>} - Spike records written
+ */
+export async function detectSpikes(redis, mentions) {
+  const spikes = [];
+  if (!mentions?.length) return spikes;
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const currentHour = hourOf(now);
+    const oldestCounted = currentHour - BASELINE_HOURS * HOUR;
+
+    // 1. Bump hourly counters in one pipelined write, remembering which origin/hours to evaluate
+    const touched = new Map(); // origin -> { section, hours:Set }
+    const increments = new Map(); // "origin|hour" -> count
+    for (const m of mentions) {
+      const ts = m.published_ts || now;
+      const hour = hourOf(Math.min(ts, now));
+      if (!m.origin || hour < oldestCounted) continue;
+
+      const k = `${m.origin}|${hour}`;
+      increments.set(k, (increments.get(k) || 0) + 1);
+
+      if (!touched.has(m.origin)) touched.set(m.origin, { section: m.section, hours: new Set() });
+      if (hour >= currentHour - (EVAL_HOURS - 1) * HOUR) touched.get(m.origin).hours.add(hour);
+    }
+    if (increments.size) {
+      const p = redis.pipeline();
+      for (const [k, n] of increments) {
+        const [origin, hour] = k.split("|");
+        p.hincrby(`${HOURLY_PREFIX}:${origin}`, hour, n);
+      }
+      await p.exec();
+    }
+
+    // 2. Evaluate touched hours against the baseline
+    for (const [origin, { section, hours }] of touched) {
+      const key = `${HOURLY_PREFIX}:${origin}`;
+      const counts = (await redis.hgetall(key)) || {};
+
+      const stale = Object.keys(counts).filter(h => Number(h) < oldestCounted);
+      if (stale.length) await redis.hdel(key, ...stale);
+
+      for (const hour of hours) {
+        const count = Number(counts[hour] || 0);
+        const baseline = baselineFor(counts, hour);
+        const { isSpike, z, pct } = scoreHour(count, baseline);
+        if (!isSpike) continue;
+
+        const articles = await topArticles(redis, origin, hour);
+        const label = labelFor(origin, section);
+        const spike = {
+          id: `spike_${origin}_${hour}`,
+          ts: now,
+          detected_at: new Date(now * 1000).toISOString(),
+          client: origin,
+          origin,
+          platform: label,
+          title: articles[0]?.title ? `${label}: ${articles[0].title}` : `${label}: unusual mention volume`,
+          link: articles[0]?.link || null,
+          mention_count: count,
+          baseline_mean: Math.round(baseline.mean * 100) / 100,
+          baseline_stddev: Math.round(baseline.stddev * 100) / 100,
+          magnitude: Math.round(z * 100) / 100,
+          spike_percentage: pct,
+          window: {
+            start: hour,
+            end: hour + HOUR,
+            hours: 1,
+            baseline_hours: baseline.hours
+          },
+          top_articles: articles
+        };
+
+        const isNew = await writeSpike(redis, spike);
+        spikes.push(spike);
+        if (isNew) {
+          await publishEvent(redis, "spike", {
+            id: spike.id, title: spike.title, link: spike.link, origin, platform: label,
+            mention_count: count, baseline_mean: spike.baseline_mean, magnitude: spike.magnitude, window: spike.window
+          }, { origin });
+        }
+        console.log(`[Spikes] ${origin}: ${count} mentions in hour ${new Date(hour * 1000).toISOString()} (z=${spike.magnitude}, baseline ${spike.baseline_mean})`);
+      }
+    }
+  } catch (error) {
+    console.error("[Spikes] Detection failed:", error);
+  }
+
+  return spikes;
+}
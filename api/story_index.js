@@ -0,0 +1,266 @@
+// story_index.js
+// MinHash / LSH index of recent stories, used to cluster coverage of one story across all origins
+//
+// Each stored mention gets a MinHash signature of its title + summary words. The
+// signature is split into bands; each band hashes to a bucket in Redis, so a
+// lookup only compares against mentions sharing at least one bucket instead of
+// every mention from the last 48 hours. Estimated Jaccard similarity is the share
+// of signature positions that agree. Buckets are zsets scored by index time: reads
+// skip ids older than the window and writes drop them, so a busy bucket stays small.
+//
+// A mention similar enough to an indexed one joins its cluster (cluster_id);
+// otherwise it starts a cluster of its own. groupByStory() picks each cluster's
+// lead article by source tier, then reach.
+
+import { listClients } from "./client_registry.js";
+
+const SIG_PREFIX = "story:sig";      // mention id -> { sig, title, origin, ts, cluster_id }
+const BAND_PREFIX = "story:bands";   // "<band>:<bucket>" -> zset of mention ids by index time
+                                      // (replaces the story:lsh sets, which expire on their own)
+
+const BANDS = 16;
+const ROWS = 4;                      // 16 x 4 = 64 hashes; ~89% recall at 0.6 similarity
+const NUM_HASHES = BANDS * ROWS;
+const WINDOW_HOURS = Number(process.env.STORY_DEDUPE_HOURS || 48);
+const DEFAULT_THRESHOLD = Number(process.env.STORY_DEDUPE_THRESHOLD || 0.6);
+
+// Lower tier leads a cluster. Matched against the link's domain; anything unlisted is tier 2.
+const SOURCE_TIERS = {
+  1: ['reuters.com', 'apnews.com', 'bloomberg.com', 'wsj.com', 'nytimes.com', 'ft.com', 'washingtonpost.com',
+      'cnbc.com', 'cnn.com', 'npr.org', 'bbc.co.uk', 'bbc.com', 'politico.com', 'axios.com', 'law360.com'],
+  3: ['news.google.com', 'yahoo.com', 'msn.com', 'aol.com', 'benzinga.com', 'marketbeat.com', 'zacks.com',
+      'seekingalpha.com', 'investing.com', 'fool.com', 'youtube.com']
+};
+
+export const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been', 'be', 'has', 'have', 'had', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can']);
+
+// Fixed per-position seeds so signatures are stable across deploys
+const SEEDS = (() => {
+  const seeds = new Uint32Array(NUM_HASHES);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    x ^= x << 13; x ^= x >>> 17; x ^= x << 5;
+    seeds[i] = x >>> 0;
+  }
+  return seeds;
+})();
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// FNV-1a
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer
+function mix32(h) {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Same word normalisation the old Jaccard check used: no punctuation, words > 3 chars, no stop words
+function tokens(text) {
+  return new Set((text || "")
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * MinHash signature of a mention's title and summary
+ * @param {Object} m - Mention
+ * @returns {Array<number>|null} - null when there are no usable words
+ */
+export function signatureOf(m) {
+  const words = tokens(`${m.title || ""} ${m.summary || ""}`);
+  if (!words.size) return null;
+
+  const sig = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const w of words) {
+    const h = hash32(w);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const v = mix32(h ^ SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+export function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) if (a[i] === b[i]) same++;
+  return same / NUM_HASHES;
+}
+
+function bandKeys(sig) {
+  const keys = [];
+  for (let b = 0; b < BANDS; b++) {
+    keys.push(`${BAND_PREFIX}:${b}:${hash32(sig.slice(b * ROWS, (b + 1) * ROWS).join(","))}`);
+  }
+  return keys;
+}
+
+/**
+ * Dedupe threshold per client, from the client registry's dedupe_threshold
+ * @returns {Promise<Function>} - (mention) => threshold
+ */
+export async function thresholdsFor(redis) {
+  const byClient = {};
+  for (const c of await listClients(redis)) {
+    if (typeof c.dedupe_threshold === "number") byClient[c.slug] = c.dedupe_threshold;
+  }
+  return (m) => byClient[m.client] ?? byClient[m.origin] ?? DEFAULT_THRESHOLD;
+}
+
+export function clusterIdOf(id) {
+  return `c_${id}`;
+}
+
+// A mention only joins a cluster through a mention indexed within this many seconds of it
+export const STORY_WINDOW_SECONDS = WINDOW_HOURS * 3600;
+
+/**
+ * Key groupByStory folds on: the cluster, else identical title+summary, else the mention alone
+ */
+export function storyKeyOf(m) {
+  const title = (m.title || "").trim().toLowerCase();
+  const summary = (m.summary || "").trim().toLowerCase();
+  return m.cluster_id || (title && summary ? `t_${title}|||${summary}` : clusterIdOf(m.id));
+}
+
+/**
+ * Assign every mention of a batch to a story cluster: the cluster of its most similar
+ * indexed mention, or of an earlier mention of the same batch, or a new one of its own.
+ * Sets m.cluster_id. Two Redis round trips for the whole batch.
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions - Candidates, in arrival order
+ * @returns {Promise<Map<string, {id:string, title:string, origin:string, cluster_id:string, similarity:number}>>} - mention id -> the mention it clustered with
+ */
+export async function assignClusters(redis, mentions) {
+  const matches = new Map();
+  for (const m of mentions || []) m.cluster_id = m.cluster_id || clusterIdOf(m.id);
+
+  const withSig = (mentions || []).map(m => ({ m, sig: signatureOf(m) })).filter(x => x.sig);
+  if (!withSig.length) return matches;
+
+  const thresholdOf = await thresholdsFor(redis);
+
+  // 1. Bucket members indexed within the window, for every band of every candidate
+  const since = Math.floor(Date.now() / 1000) - WINDOW_HOURS * 3600;
+  const p = redis.pipeline();
+  for (const { sig } of withSig) for (const key of bandKeys(sig)) p.zrange(key, since, "+inf", { byScore: true });
+  const buckets = await p.exec();
+
+  const candidateIds = withSig.map((_, i) => new Set(buckets.slice(i * BANDS, (i + 1) * BANDS).flat().map(String)));
+  const allIds = [...new Set(candidateIds.flatMap(s => [...s]))];
+
+  // 2. Signatures of every indexed candidate
+  const stored = new Map();
+  if (allIds.length) {
+    const sigs = await redis.mget(...allIds.map(id => `${SIG_PREFIX}:${id}`));
+    allIds.forEach((id, i) => { const s = toObj(sigs[i]); if (s?.sig) stored.set(id, s); });
+  }
+
+  for (let i = 0; i < withSig.length; i++) {
+    const { m, sig } = withSig[i];
+    const threshold = thresholdOf(m);
+    let best = null;
+
+    for (const id of candidateIds[i]) {
+      const s = stored.get(id);
+      if (!s || id === m.id) continue;
+      const sim = similarity(sig, s.sig);
+      if (sim >= threshold && (!best || sim > best.similarity)) {
+        best = { id, title: s.title, origin: s.origin, cluster_id: s.cluster_id || clusterIdOf(id), similarity: sim };
+      }
+    }
+    // Earlier items of this batch aren't indexed yet
+    for (let j = 0; j < i; j++) {
+      const a = withSig[j];
+      const sim = similarity(sig, a.sig);
+      if (sim >= threshold && (!best || sim > best.similarity)) {
+        best = { id: a.m.id, title: a.m.title, origin: a.m.origin, cluster_id: a.m.cluster_id, similarity: sim };
+      }
+    }
+
+    if (best) {
+      m.cluster_id = best.cluster_id;
+      matches.set(m.id, best);
+    }
+  }
+  return matches;
+}
+
+function domainOf(link) {
+  try { return new URL(link).hostname.replace(/^www\./, "").toLowerCase(); } catch { return ""; }
+}
+
+export function sourceTier(m) {
+  const domain = domainOf(m.link);
+  for (const tier of [1, 3]) {
+    if (SOURCE_TIERS[tier].some(d => domain === d || domain.endsWith(`.${d}`))) return tier;
+  }
+  return 2;
+}
+
+/**
+ * Group mentions into stories. Mentions stored before clustering have no cluster_id;
+ * those with identical title + summary still fold together.
+ * @param {Array<Object>} mentions
+ * @returns {Array<{cluster_id:string, lead:Object, members:Array<Object>}>} - members in lead order, lead first
+ */
+export function groupByStory(mentions) {
+  const clusters = new Map();
+  for (const m of mentions || []) {
+    const key = storyKeyOf(m);
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(m);
+  }
+
+  const leadOrder = (a, b) =>
+    sourceTier(a) - sourceTier(b) ||
+    (Number(b.reach) || 0) - (Number(a.reach) || 0) ||
+    (a.published_ts || 0) - (b.published_ts || 0);
+
+  return [...clusters.values()].map(members => {
+    members.sort(leadOrder);
+    return { cluster_id: members[0].cluster_id || clusterIdOf(members[0].id), lead: members[0], members };
+  });
+}
+
+/**
+ * Add stored mentions to the index
+ * @param {Redis} redis
+ * @param {Array<Object>} mentions
+ */
+export async function indexMentions(redis, mentions) {
+  const ttl = WINDOW_HOURS * 3600;
+  const now = Math.floor(Date.now() / 1000);
+  const p = redis.pipeline();
+  let queued = 0;
+  for (const m of mentions || []) {
+    const sig = signatureOf(m);
+    if (!sig) continue;
+    p.set(`${SIG_PREFIX}:${m.id}`, JSON.stringify({ sig, title: m.title, origin: m.origin, ts: m.published_ts, cluster_id: m.cluster_id }), { ex: ttl });
+    for (const key of bandKeys(sig)) {
+      p.zadd(key, { score: now, member: m.id });
+      p.zremrangebyscore(key, "-inf", now - ttl);
+      p.expire(key, ttl);
+    }
+    queued++;
+  }
+  if (queued) await p.exec();
+  return queued;
+}
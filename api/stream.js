@@ -1,98 +1,86 @@
 // /api/stream.js - Server-Sent Events for real-time updates
+//
+// GET /api/stream[?origin=meltwater][&client=stubhub][&types=mention.stored,spike]
+//
+// Tails the event bus (event_bus.js): mention.stored, spike, alert.fired, summary.saved.
+// Every message carries an SSE id; reconnecting with the Last-Event-ID header (or
+// ?last_event_id= when the browser can't set it) replays what was missed, as far back
+// as the stream is kept. Without one, only events after the connection are sent.
 import { Redis } from "@upstash/redis";
+import { readEvents, latestEventId, EVENT_TYPES } from "./event_bus.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
   token: process.env.KV2_REST_API_TOKEN,
 });
 
+const POLL_MS = 3000;
+const BATCH = 100;
+
 export default async function handler(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const params = url.searchParams;
+  const origin = (params.get('origin') || '').toLowerCase().trim() || undefined;
+  const client = (params.get('client') || '').toLowerCase().trim() || undefined;
+  const types = (params.get('types') || '').split(',').map(s => s.trim()).filter(t => EVENT_TYPES.includes(t));
+  const resumeFrom = req.headers['last-event-id'] || params.get('last_event_id') || '';
+
   // Set SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('Access-Control-Allow-Origin', '*');
-  
+
+  let cursor;
+  try {
+    cursor = /^\d+-\d+$/.test(resumeFrom) ? resumeFrom : await latestEventId(redis);
+  } catch (error) {
+    console.error('Error reading event stream:', error);
+    cursor = `${Date.now()}-0`;
+  }
+
   // Send initial connection message
-  res.write(`data: ${JSON.stringify({ type: 'connected', timestamp: new Date().toISOString() })}\n\n`);
-  
+  res.write(`retry: 3000\n`);
+  res.write(`data: ${JSON.stringify({ type: 'connected', resumed: cursor === resumeFrom, timestamp: new Date().toISOString() })}\n\n`);
+
   // Heartbeat to keep connection alive
   const heartbeat = setInterval(() => {
     res.write(`:heartbeat ${Date.now()}\n\n`);
   }, 30000); // Every 30 seconds
-  
-  // Poll for updates (since Vercel doesn't support long-running connections)
-  let lastCheck = Math.floor(Date.now() / 1000);
-  
+
+  // Poll the bus (Upstash's REST API has no blocking XREAD); a full batch is read again right away
+  let closed = false;
+  let timer = null;
+
   const checkForUpdates = async () => {
+    let more = false;
     try {
-      const now = Math.floor(Date.now() / 1000);
-      
-      // Get new mentions since last check
-      const newMentions = await redis.zrange(
-        'mentions:streamed:z',
-        lastCheck,
-        now,
-        { byScore: true }
-      );
-      
-      if (newMentions.length > 0) {
-        const mentions = newMentions
-          .map(m => {
-            try {
-              return JSON.parse(m);
-            } catch {
-              return null;
-            }
-          })
-          .filter(Boolean)
-          .slice(0, 5); // Send max 5 at a time
-        
-        // Send update to client
-        const event = {
-          type: 'new_mentions',
-          count: newMentions.length,
-          mentions: mentions,
-          timestamp: new Date().toISOString()
-        };
-        
-        res.write(`data: ${JSON.stringify(event)}\n\n`);
-        
-        // Update counts
-        const todayKey = getTodayKey();
-        const todayCount = await redis.get(todayKey) || 0;
-        
-        res.write(`data: ${JSON.stringify({
-          type: 'count_update',
-          meltwater_count: parseInt(todayCount),
-          timestamp: new Date().toISOString()
+      const result = await readEvents(redis, { after: cursor, types, origin, client, limit: BATCH });
+      for (const e of result.events) {
+        if (closed) return;
+        res.write(`id: ${e.id}\ndata: ${JSON.stringify({
+          type: e.type,
+          data: e.data,
+          origin: e.origin || null,
+          client: e.client || null,
+          timestamp: new Date(Number(e.id.split('-')[0])).toISOString()
         })}\n\n`);
       }
-      
-      lastCheck = now;
+      cursor = result.cursor;
+      more = result.more;
     } catch (error) {
       console.error('Error checking for updates:', error);
     }
+    if (!closed) timer = setTimeout(checkForUpdates, more ? 0 : POLL_MS);
   };
-  
-  // Check for updates every 5 seconds
-  const updateInterval = setInterval(checkForUpdates, 5000);
-  
-  // Initial check
+
   checkForUpdates();
-  
+
   // Clean up on client disconnect
   req.on('close', () => {
+    closed = true;
     clearInterval(heartbeat);
-    clearInterval(updateInterval);
+    clearTimeout(timer);
     res.end();
   });
 }
-
-function getTodayKey() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `meltwater:stream:daily:${year}-${month}-${day}`;
-}
@@ -1,6 +1,7 @@
 // /api/summary.js
 // FIXED: Combines historical API count + new streaming webhooks
 import { Redis } from "@upstash/redis";
+import { indexesReady, indexValues, countInIndexes, dailyCounts, idsInIndexes, loadMentions, dayOf } from "./mention_store.js";
 
 const redis = new Redis({
   url: process.env.KV2_REST_API_URL,
@@ -80,6 +81,36 @@ function detectOrigin(m) {
   return "google_alerts";
 }
 
+// Per-origin counts for the window from the indexes (mention_store.js), without loading
+// mentions; null until /api/rebuild_mention_index has built them
+async function originCountsFromIndexes(win, start, end) {
+  if (!(await indexesReady(redis))) return null;
+
+  const counts = {};
+  if (win === "24h") {
+    const origins = await indexValues(redis, "origin");
+    const n = await countInIndexes(redis, origins.map(value => ({ dimension: "origin", value })), start, end);
+    origins.forEach((o, i) => { counts[o] = n[i]; });
+  } else {
+    // "today" is exactly one daily counter
+    const daily = await dailyCounts(redis, dayOf(start));
+    for (const [field, n] of Object.entries(daily)) {
+      if (field.startsWith("origin:")) counts[field.slice("origin:".length)] = n;
+    }
+  }
+
+  // Mentions stored without an origin still go through detectOrigin
+  if (counts.none) {
+    delete counts.none;
+    const ids = await idsInIndexes(redis, [{ dimension: "origin", value: "none" }], start, end - 1);
+    for (const m of await loadMentions(redis, ids)) {
+      const o = detectOrigin(m);
+      counts[o] = (counts[o] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
 // Get count of NEW streamed Meltwater mentions
 async function getStreamedMeltwaterCount(window) {
   try {
@@ -292,31 +323,36 @@ export default async function handler(req, res) {
     const win = (req.query?.window || req.query?.w || "today").toString();
     const [start, end] = win === "24h" ? range24h() : rangeTodayET();
 
-    // Fetch ALL from Redis
-    const raw = await redis.zrange(ZSET, 0, 5000, { rev: true });
-    const items = raw.map(toObj).filter(Boolean);
-    console.log(`Total items in Redis: ${items.length}`);
-
-    // Filter to time window
-    const inWin = items.filter((m) => {
-      const ts = Number(m?.published_ts ?? NaN);
-      return Number.isFinite(ts) ? ts >= start && ts < end : true;
-    });
-
     // Initialize counts
     const by = { meltwater: 0, google_alerts: 0, rss: 0, newsletter: 0, other: 0 };
     let meltwaterCountFromRedis = 0;
 
     // Count items from Redis by origin (except Meltwater - we'll calculate that separately)
-    for (const m of inWin) {
-      const o = detectOrigin(m);
+    const tally = (o, n) => {
       if (o === "meltwater") {
-        meltwaterCountFromRedis++;
+        meltwaterCountFromRedis += n;
       } else if (by.hasOwnProperty(o)) {
-        by[o] += 1;
+        by[o] += n;
       } else {
-        by.other += 1;
+        by.other += n;
       }
+    };
+
+    const originCounts = await originCountsFromIndexes(win, start, end);
+    if (originCounts) {
+      for (const [o, n] of Object.entries(originCounts)) tally(o, n);
+    } else {
+      // Fetch ALL from Redis
+      const raw = await redis.zrange(ZSET, 0, 5000, { rev: true });
+      const items = raw.map(toObj).filter(Boolean);
+      console.log(`Total items in Redis: ${items.length}`);
+
+      // Filter to time window
+      const inWin = items.filter((m) => {
+        const ts = Number(m?.published_ts ?? NaN);
+        return Number.isFinite(ts) ? ts >= start && ts < end : true;
+      });
+      for (const m of inWin) tally(detectOrigin(m), 1);
     }
 
     console.log(`Meltwater items in Redis cache: ${meltwaterCountFromRedis}`);
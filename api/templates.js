@@ -0,0 +1,138 @@
+// /api/templates.js
+// Email templates for alerts and digests (see email_templates.js)
+//
+// GET    /api/templates                          list (built-in or stored override)
+// GET    /api/templates?name=digest              one template
+// GET    /api/templates?name=alert&preview=1     render against sample mentions (newest stored ones);
+//                                                &slug= picks the client for digest; &format=html|text|json
+// POST   /api/templates?name=alert&preview=1     same, for an unsaved { subject, html, text } and optional { mentions }
+// PUT    /api/templates?name=alert               store an override { subject, html, text } (missing parts keep the built-in)
+// DELETE /api/templates?name=alert               drop the override
+//
+// PUT, DELETE and previews of posted templates or mentions require ADMIN_TOKEN via x-admin-token header or ?token=
+// Previews are served with Content-Security-Policy: sandbox
+import { Redis } from "@upstash/redis";
+import {
+  listTemplates, getTemplate, saveTemplate, resetTemplate, validateTemplate,
+  renderEmail, TEMPLATE_NAMES, PARTIAL_NAMES
+} from "./email_templates.js";
+import { listClients, getClient } from "./client_registry.js";
+import { digestData } from "./client_digest.js";
+import { alertData } from "./alert_channels.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+const ZSET = "mentions:z";
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+function toObj(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+async function sampleMentions(count) {
+  const raw = await redis.zrange(ZSET, 0, count - 1, { rev: true });
+  const mentions = (raw || []).map(toObj).filter(Boolean);
+  return mentions.length ? mentions : [{
+    id: "sample",
+    title: "Sample headline <with> \"characters\" that need escaping & more",
+    link: "https://example.com/article",
+    source: "example.com",
+    origin: "sample",
+    published: new Date().toISOString(),
+    published_ts: Math.floor(Date.now() / 1000),
+    reach: 12000,
+    sentiment_label: "neutral"
+  }];
+}
+
+async function previewData(name, params, body) {
+  if (name === "alert") {
+    const mentions = Array.isArray(body.mentions) ? body.mentions : await sampleMentions(3);
+    return alertData({ id: "preview", name: "Preview rule" }, mentions);
+  }
+
+  const slug = (params.get("slug") || "").toLowerCase();
+  const client = (slug && await getClient(redis, slug)) || (await listClients(redis, { enabledOnly: true }))[0];
+  if (!client) throw new Error("no client to preview a digest for");
+  const now = Math.floor(Date.now() / 1000);
+  return digestData(redis, client, { from: now - 24 * 3600, to: now, label: "Daily digest" });
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const name = (params.get("name") || "").toLowerCase().trim();
+    if (name && !TEMPLATE_NAMES.includes(name)) {
+      return res.status(404).json({ ok: false, error: `unknown template (one of ${TEMPLATE_NAMES.join(", ")})` });
+    }
+
+    if (params.get("preview") === "1" && (req.method === "GET" || req.method === "POST")) {
+      if (!name) return res.status(400).json({ ok: false, error: "name required" });
+      const body = req.method === "POST" ? parseBody(req) : {};
+      const custom = body.subject || body.html || body.text || body.mentions;
+      if (custom) {
+        const token = req.headers["x-admin-token"] || params.get("token");
+        if (!token || token !== process.env.ADMIN_TOKEN) {
+          return res.status(401).json({ ok: false, error: "bad token" });
+        }
+      }
+      let override = null;
+      if (body.subject || body.html || body.text) {
+        const { template, error } = validateTemplate(name, body);
+        if (error) return res.status(400).json({ ok: false, error });
+        override = template;
+      }
+      const email = await renderEmail(redis, name, await previewData(name, params, body), override);
+
+      // Rendered markup is never trusted on the dashboard's origin: no scripts, no same-origin access
+      res.setHeader("Content-Security-Policy", "sandbox");
+      const format = params.get("format") || "html";
+      if (format === "json") return res.status(200).json({ ok: true, name, ...email });
+      if (format === "text") {
+        res.setHeader("Content-Type", "text/plain; charset=utf-8");
+        return res.status(200).send(`Subject: ${email.subject}\n\n${email.text}`);
+      }
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(email.html);
+    }
+
+    if (req.method === "GET") {
+      if (name) return res.status(200).json({ ok: true, template: await getTemplate(redis, name), partials: PARTIAL_NAMES });
+      return res.status(200).json({ ok: true, templates: await listTemplates(redis), partials: PARTIAL_NAMES });
+    }
+
+    const token = req.headers["x-admin-token"] || params.get("token");
+    if (!token || token !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+    if (!name) return res.status(400).json({ ok: false, error: "name required" });
+
+    if (req.method === "PUT" || req.method === "POST") {
+      const { template, error } = validateTemplate(name, parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      await saveTemplate(redis, name, template);
+      return res.status(200).json({ ok: true, template: await getTemplate(redis, name) });
+    }
+
+    if (req.method === "DELETE") {
+      const removed = await resetTemplate(redis, name);
+      return res.status(200).json({ ok: true, reset: removed, template: await getTemplate(redis, name) });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    console.error("Templates API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
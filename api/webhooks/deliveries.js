@@ -0,0 +1,68 @@
+// /api/webhooks/deliveries.js
+// Outbound webhook delivery log, delivery worker and redelivery (see outbound_webhooks.js)
+//
+// GET  /api/webhooks/deliveries                       recent deliveries, newest first
+//                                                     (&subscription=wh_... &status=pending|delivered|retrying|dead &limit=100)
+// GET  /api/webhooks/deliveries?dead=1                dead-letter list (gave up after every retry)
+// GET  /api/webhooks/deliveries?id=dl_...             one delivery with its attempt history
+// GET  /api/webhooks/deliveries?process=1             cron (every minute): send queued deliveries and retries that are due
+// POST /api/webhooks/deliveries?id=dl_...&action=redeliver   send again now, with a fresh retry budget
+//
+// POST requires ADMIN_TOKEN via x-admin-token header or ?token=; without it, GET redacts target URLs
+import { Redis } from "@upstash/redis";
+import { listDeliveries, getDelivery, processDeliveries, redeliver, publicDelivery } from "../outbound_webhooks.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const id = (params.get("id") || "").trim();
+    const token = req.headers["x-admin-token"] || params.get("token");
+    const admin = !!token && token === process.env.ADMIN_TOKEN;
+
+    if (req.method === "GET" && params.get("process") === "1") {
+      const result = await processDeliveries(redis);
+      return res.status(200).json({ ok: true, ...result });
+    }
+
+    if (req.method === "GET") {
+      if (id) {
+        const delivery = await getDelivery(redis, id);
+        if (!delivery) return res.status(404).json({ ok: false, error: "delivery not found (kept 7 days)" });
+        return res.status(200).json({ ok: true, delivery: publicDelivery(delivery, { admin }) });
+      }
+      const limit = Math.max(1, Math.min(500, parseInt(params.get("limit") || "100", 10) || 100));
+      const deliveries = await listDeliveries(redis, {
+        subscriptionId: params.get("subscription") || undefined,
+        status: params.get("status") || undefined,
+        dead: params.get("dead") === "1",
+        limit
+      });
+      return res.status(200).json({ ok: true, count: deliveries.length, deliveries: deliveries.map(d => publicDelivery(d, { admin })) });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ ok: false, error: "Method not allowed" });
+    }
+
+    if (!admin) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+    if (params.get("action") !== "redeliver") {
+      return res.status(400).json({ ok: false, error: "action must be redeliver" });
+    }
+    if (!id) return res.status(400).json({ ok: false, error: "id required" });
+
+    const delivery = await redeliver(redis, id);
+    if (!delivery) return res.status(404).json({ ok: false, error: "delivery not found (kept 7 days)" });
+    res.status(200).json({ ok: delivery.status === "delivered", delivery });
+  } catch (e) {
+    console.error("Webhook deliveries API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}
@@ -0,0 +1,99 @@
+// /api/webhooks/index.js
+// Outbound webhook subscriptions (see outbound_webhooks.js); deliveries are in /api/webhooks/deliveries
+//
+// GET    /api/webhooks                        list subscriptions (secrets hidden; URLs redacted without ADMIN_TOKEN)
+// GET    /api/webhooks?id=wh_...              one subscription
+// POST   /api/webhooks                        create { url, name, clients, origins, keywords, enabled }
+//                                             -> the response is the only place the signing secret is shown
+// PUT    /api/webhooks?id=...                 update (partial body allowed)
+// DELETE /api/webhooks?id=...                 remove; its pending retries are dead-lettered
+// POST   /api/webhooks?id=...&action=rotate   new signing secret
+// POST   /api/webhooks?id=...&action=test     send a "ping" event now
+//
+// Verifying a delivery: X-Webhook-Signature is "t=<unix seconds>,v1=<hex>", where v1 is the
+// HMAC-SHA256 of "<t>.<raw body>" keyed with the secret. X-Webhook-Id is stable across retries.
+// Writes require ADMIN_TOKEN via x-admin-token header or ?token=
+import { Redis } from "@upstash/redis";
+import {
+  listSubscriptions, getSubscription, saveSubscription, deleteSubscription,
+  validateSubscription, publicSubscription, pingSubscription, rotateSecret
+} from "../outbound_webhooks.js";
+
+const redis = new Redis({
+  url: process.env.KV2_REST_API_URL,
+  token: process.env.KV2_REST_API_TOKEN,
+});
+
+function parseBody(req) {
+  let body = req.body;
+  if (typeof body === "string") { try { body = JSON.parse(body); } catch { body = {}; } }
+  return body || {};
+}
+
+export default async function handler(req, res) {
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const params = url.searchParams;
+    const id = (params.get("id") || "").trim();
+    const action = params.get("action");
+    const token = req.headers["x-admin-token"] || params.get("token");
+    const admin = !!token && token === process.env.ADMIN_TOKEN;
+
+    if (req.method === "GET") {
+      if (id) {
+        const subscription = await getSubscription(redis, id);
+        if (!subscription) return res.status(404).json({ ok: false, error: "subscription not found" });
+        return res.status(200).json({ ok: true, subscription: publicSubscription(subscription, { admin }) });
+      }
+      const subscriptions = await listSubscriptions(redis);
+      return res.status(200).json({ ok: true, count: subscriptions.length, subscriptions: subscriptions.map(s => publicSubscription(s, { admin })) });
+    }
+
+    if (!admin) {
+      return res.status(401).json({ ok: false, error: "bad token" });
+    }
+
+    if (req.method === "POST" && action) {
+      const subscription = id && await getSubscription(redis, id);
+      if (!subscription) return res.status(404).json({ ok: false, error: "subscription not found" });
+
+      if (action === "rotate") {
+        const rotated = await rotateSecret(redis, subscription);
+        return res.status(200).json({ ok: true, subscription: publicSubscription(rotated, { admin }), secret: rotated.secret });
+      }
+      if (action === "test") {
+        const delivery = await pingSubscription(redis, subscription);
+        return res.status(200).json({ ok: delivery.status === "delivered", delivery });
+      }
+      return res.status(400).json({ ok: false, error: "action must be rotate or test" });
+    }
+
+    if (req.method === "POST") {
+      const { subscription, error } = validateSubscription(parseBody(req));
+      if (error) return res.status(400).json({ ok: false, error });
+      await saveSubscription(redis, subscription);
+      return res.status(201).json({ ok: true, subscription: publicSubscription(subscription, { admin }), secret: subscription.secret });
+    }
+
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const existing = id && await getSubscription(redis, id);
+      if (!existing) return res.status(404).json({ ok: false, error: "subscription not found" });
+      const { subscription, error } = validateSubscription(parseBody(req), existing);
+      if (error) return res.status(400).json({ ok: false, error });
+      await saveSubscription(redis, subscription);
+      return res.status(200).json({ ok: true, subscription: publicSubscription(subscription, { admin }) });
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) return res.status(400).json({ ok: false, error: "id required" });
+      const removed = await deleteSubscription(redis, id);
+      if (!removed) return res.status(404).json({ ok: false, error: "subscription not found" });
+      return res.status(200).json({ ok: true, removed: id });
+    }
+
+    res.status(405).json({ ok: false, error: "Method not allowed" });
+  } catch (e) {
+    console.error("Webhooks API error:", e);
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+}